@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from "react";
+import { ATTACK_CATEGORIES, DEFENSE_FIELDS, RANGES, discoverColumns, fleetAnalytics } from "./analytics.js";
+import { decodeDeckCode } from "./deckCode.js";
+
+/**
+ * Analysis pane — the current deck's shape (attack by range and category,
+ * defense totals, speed, points per type/nation), optionally side by side with
+ * a second deck picked from the saved/local decks or pasted as a deck code.
+ *
+ * compareOptions: [{ id, name, deck: { unit_id: count } }]
+ */
+
+const fmt = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(2));
+
+/** Two bars per row (A emerald, B sky), scaled to the largest value in the chart */
+function BarChart({ rows, compare }) {
+  const max = Math.max(1e-9, ...rows.flatMap((r) => [r.a, compare ? r.b : 0]));
+  return (
+    <div className="space-y-1">
+      {rows.map((r) => (
+        <div key={r.label} className="grid grid-cols-[7rem_1fr] gap-2 items-center text-xs">
+          <div className="truncate opacity-80">{r.label}</div>
+          <div className="space-y-0.5">
+            <div className="flex items-center gap-1">
+              <div className="h-2 rounded bg-emerald-600" style={{ width: `${(r.a / max) * 100}%` }} />
+              <span className="opacity-70">{fmt(r.a)}</span>
+            </div>
+            {compare && (
+              <div className="flex items-center gap-1">
+                <div className="h-2 rounded bg-sky-600" style={{ width: `${(r.b / max) * 100}%` }} />
+                <span className="opacity-70">{fmt(r.b)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">{title}</div>
+      {children}
+    </div>
+  );
+}
+
+/** { key: n } maps of both decks -> rows over the union of keys, largest first */
+function mapRows(a, b = {}) {
+  const keys = Array.from(new Set([...Object.keys(a), ...Object.keys(b)]));
+  return keys.map((k) => ({ label: k, a: a[k] || 0, b: b[k] || 0 })).sort((x, y) => y.a + y.b - (x.a + x.b));
+}
+
+export default function AnalyticsPanel({ units, deckItems, compareOptions = [] }) {
+  const [compareId, setCompareId] = useState("");
+  const [code, setCode] = useState("");
+
+  const columns = useMemo(() => discoverColumns(units), [units]);
+  const byId = useMemo(() => new Map(units.map((u) => [u.id, u])), [units]);
+
+  const { compareItems, compareError } = useMemo(() => {
+    let deck = null;
+    try {
+      if (compareId === "code" && code.trim()) deck = decodeDeckCode(code).deck;
+      else deck = compareOptions.find((o) => o.id === compareId)?.deck || null;
+    } catch (e) {
+      return { compareItems: null, compareError: e.message };
+    }
+    if (!deck) return { compareItems: null, compareError: "" };
+    const items = Object.entries(deck).map(([id, count]) => ({ unit: byId.get(id), count })).filter((x) => x.unit);
+    return { compareItems: items, compareError: "" };
+  }, [compareId, code, compareOptions, byId]);
+
+  const A = useMemo(() => fleetAnalytics(deckItems, columns), [deckItems, columns]);
+  const B = useMemo(() => (compareItems ? fleetAnalytics(compareItems, columns) : null), [compareItems, columns]);
+  const compare = !!B;
+
+  const attackCats = ATTACK_CATEGORIES.filter((c) => A.attack[c.id]);
+  const defenseRows = DEFENSE_FIELDS.filter((d) => A.defense[d.id] != null).map((d) => ({ label: d.label, a: A.defense[d.id], b: B?.defense[d.id] || 0 }));
+
+  return (
+    <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 xl:col-span-2 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-semibold">Analysis</div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="opacity-70">Compare with</span>
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={compareId} onChange={(e) => setCompareId(e.target.value)}>
+            <option value="">— nothing —</option>
+            {compareOptions.map((o) => <option key={o.id} value={o.id}>{o.name}</option>)}
+            <option value="code">Paste a deck code…</option>
+          </select>
+          {compareId === "code" && (
+            <input className="w-56 px-2 py-1 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" placeholder="deck code or link" value={code} onChange={(e) => setCode(e.target.value)} />
+          )}
+        </div>
+      </div>
+      {compareError && <div className="text-xs text-red-400">{compareError}</div>}
+      {compare && (
+        <div className="flex gap-4 text-xs">
+          <span><span className="inline-block w-3 h-2 rounded bg-emerald-600 mr-1" />This deck · {A.units} units · {A.points} pts</span>
+          <span><span className="inline-block w-3 h-2 rounded bg-sky-600 mr-1" />Compared · {B.units} units · {B.points} pts</span>
+        </div>
+      )}
+
+      {deckItems.length === 0 && !compare ? (
+        <div className="opacity-60 text-sm">Add units to see the fleet's shape.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {attackCats.map((c) => (
+            <Section key={c.id} title={`${c.label} by range`}>
+              <BarChart compare={compare} rows={RANGES.map((r) => ({ label: `Range ${r}`, a: A.attack[c.id][r], b: B?.attack[c.id]?.[r] || 0 }))} />
+            </Section>
+          ))}
+          {defenseRows.length > 0 && (
+            <Section title="Defense totals"><BarChart compare={compare} rows={defenseRows} /></Section>
+          )}
+          {Object.keys(A.speed).length + Object.keys(B?.speed || {}).length > 0 && (
+            <Section title="Speed (copies)"><BarChart compare={compare} rows={mapRows(A.speed, B?.speed)} /></Section>
+          )}
+          <Section title="Points by type"><BarChart compare={compare} rows={mapRows(A.pointsByType, B?.pointsByType)} /></Section>
+          <Section title="Points by nation"><BarChart compare={compare} rows={mapRows(A.pointsByNation, B?.pointsByNation)} /></Section>
+        </div>
+      )}
+      {attackCats.length <= 1 && (
+        <div className="text-xs opacity-60">
+          Only effective gunnery is available; torpedo, anti-air and bomb breakdowns appear when unit_stats has those columns.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from "react";
+import VirtualList from "./VirtualList.jsx";
+import { classNames } from "./classNames.js";
+
+/**
+ * Collection manager — edit user_ownership (owned, copies) for every unit.
+ *
+ * Edits are kept locally as a draft until "Save"; onSave receives the changed
+ * rows ({ unit_id, owned, copies }) and is expected to upsert them.
+ * Completion stats count a unit as collected when owned or copies > 0.
+ */
+
+const isOwned = (r) => !!(r?.owned || r?.copies > 0);
+
+/** [{ key, owned, total }] grouped by a unit field, sorted by key */
+function completion(units, rowOf, field) {
+  const groups = new Map();
+  for (const u of units) {
+    const key = u[field] || "—";
+    const g = groups.get(key) || { key, owned: 0, total: 0 };
+    g.total += 1;
+    if (isOwned(rowOf(u))) g.owned += 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function StatTable({ title, rows }) {
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">{title}</div>
+      <div className="space-y-1">
+        {rows.map((g) => {
+          const pct = g.total ? Math.round((g.owned / g.total) * 100) : 0;
+          return (
+            <div key={g.key} className="text-xs">
+              <div className="flex justify-between"><span className="truncate">{g.key}</span><span className="opacity-70">{g.owned}/{g.total} · {pct}%</span></div>
+              <div className="h-1.5 rounded bg-neutral-800"><div className="h-1.5 rounded bg-emerald-600" style={{ width: `${pct}%` }} /></div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function CollectionView({ units, ownership, onSave, saving }) {
+  const [draft, setDraft] = useState({}); // unit_id -> { owned, copies } (unsaved edits)
+  const [q, setQ] = useState("");
+  const [setFilter, setSetFilter] = useState("All");
+  const [show, setShow] = useState("all"); // all | owned | missing
+  const [bulkSet, setBulkSet] = useState("");
+  const [bulkCopies, setBulkCopies] = useState(1);
+
+  const rowOf = (u) => draft[u.id] || ownership[u.id] || { owned: false, copies: 0 };
+  const sets = useMemo(() => Array.from(new Set(units.map((u) => u.set_name).filter(Boolean))).sort(), [units]);
+
+  const list = useMemo(() => {
+    let out = units;
+    if (q) {
+      const qq = q.toLowerCase();
+      out = out.filter((u) => u.name?.toLowerCase().includes(qq) || u.nation?.toLowerCase().includes(qq));
+    }
+    if (setFilter !== "All") out = out.filter((u) => u.set_name === setFilter);
+    if (show !== "all") out = out.filter((u) => isOwned(draft[u.id] || ownership[u.id]) === (show === "owned"));
+    return out;
+  }, [units, q, setFilter, show, draft, ownership]);
+
+  const bySet = useMemo(() => completion(units, rowOf, "set_name"), [units, draft, ownership]);
+  const byRarity = useMemo(() => completion(units, rowOf, "rarity"), [units, draft, ownership]);
+  const ownedTotal = useMemo(() => units.filter((u) => isOwned(rowOf(u))).length, [units, draft, ownership]);
+  const dirtyCount = Object.keys(draft).length;
+
+  function edit(u, patch) {
+    const cur = rowOf(u);
+    let next = { ...cur, ...patch };
+    // keep the two columns consistent: copies > 0 implies owned, un-owning clears copies
+    if ("copies" in patch) next.owned = next.copies > 0;
+    if ("owned" in patch) next.copies = patch.owned ? Math.max(1, cur.copies || 0) : 0;
+    setDraft((prev) => ({ ...prev, [u.id]: { owned: next.owned, copies: next.copies } }));
+  }
+
+  function applyBulk() {
+    if (!bulkSet) return;
+    const copies = Math.max(0, parseInt(bulkCopies, 10) || 0);
+    setDraft((prev) => {
+      const next = { ...prev };
+      units.filter((u) => u.set_name === bulkSet).forEach((u) => { next[u.id] = { owned: copies > 0, copies }; });
+      return next;
+    });
+  }
+
+  async function save() {
+    const rows = Object.entries(draft).map(([unit_id, r]) => ({ unit_id, owned: r.owned, copies: r.copies }));
+    if (await onSave(rows)) setDraft({});
+  }
+
+  return (
+    <section className="mt-4 grid grid-cols-1 lg:grid-cols-4 gap-4">
+      <div className="lg:col-span-1 space-y-3">
+        <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+          <div className="font-semibold">Collection</div>
+          <div className="text-sm opacity-80">{ownedTotal} / {units.length} units collected</div>
+          <button onClick={save} disabled={!dirtyCount || saving} className={classNames("w-full px-3 py-2 rounded", !dirtyCount || saving ? "bg-neutral-800 border border-neutral-700 opacity-60" : "bg-emerald-600 hover:bg-emerald-500")}>
+            {saving ? "Saving…" : dirtyCount ? `Save changes (${dirtyCount})` : "No changes"}
+          </button>
+          {dirtyCount > 0 && <button className="w-full text-xs underline opacity-70" onClick={() => setDraft({})}>discard changes</button>}
+        </div>
+
+        <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+          <div className="font-semibold">Bulk by set</div>
+          <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-2" value={bulkSet} onChange={(e) => setBulkSet(e.target.value)}>
+            <option value="">choose a set…</option>
+            {sets.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="opacity-70">I own all ×</span>
+            <input type="number" min={0} className="w-16 px-2 py-1 rounded bg-neutral-800 border border-neutral-700" value={bulkCopies} onChange={(e) => setBulkCopies(e.target.value)} />
+            <button disabled={!bulkSet} onClick={applyBulk} className={classNames("flex-1 px-3 py-1 rounded border", bulkSet ? "bg-neutral-800 border-neutral-700" : "opacity-40 border-neutral-800")}>Apply</button>
+          </div>
+          <div className="text-xs opacity-60">×0 marks the whole set as not owned.</div>
+        </div>
+
+        <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-4">
+          <StatTable title="By set" rows={bySet} />
+          <StatTable title="By rarity" rows={byRarity} />
+        </div>
+      </div>
+
+      <div className="lg:col-span-3 p-4 rounded-2xl bg-neutral-900 border border-neutral-800">
+        <div className="flex flex-wrap gap-2 mb-2">
+          <input className="flex-1 min-w-[12rem] px-3 py-2 rounded bg-neutral-800 border border-neutral-700" placeholder="search name or nation" value={q} onChange={(e) => setQ(e.target.value)} />
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-2" value={setFilter} onChange={(e) => setSetFilter(e.target.value)}>
+            <option value="All">All sets</option>
+            {sets.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-2" value={show} onChange={(e) => setShow(e.target.value)}>
+            <option value="all">All units</option>
+            <option value="owned">Owned</option>
+            <option value="missing">Missing</option>
+          </select>
+        </div>
+        <div className="text-xs opacity-60 mb-1">{list.length} units</div>
+        <VirtualList className="h-[640px]" items={list} rowHeight={56} getKey={(u) => u.id}
+          renderRow={(u) => {
+            const r = rowOf(u);
+            return (
+              <div className={classNames("h-full flex items-center gap-3 border-b border-neutral-800", draft[u.id] && "bg-neutral-800/40")}>
+                <div className="min-w-0 flex-1">
+                  <div className="font-medium truncate">{u.name} <span className="opacity-60 text-sm">({u.nation} · {u.type})</span></div>
+                  <div className="text-xs opacity-70 truncate">{u.set_name || "—"} · {u.rarity || "—"} · {u.points} pts</div>
+                </div>
+                <label className="flex items-center gap-1 text-sm">
+                  <input type="checkbox" checked={!!r.owned} onChange={(e) => edit(u, { owned: e.target.checked })} />
+                  owned
+                </label>
+                <div className="flex items-center gap-1">
+                  <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={() => edit(u, { copies: Math.max(0, (r.copies || 0) - 1) })}>−</button>
+                  <span className="w-8 text-center text-sm">{r.copies || 0}</span>
+                  <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={() => edit(u, { copies: (r.copies || 0) + 1 })}>+</button>
+                </div>
+              </div>
+            );
+          }} />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from "react";
+import { classNames } from "./classNames.js";
+import { EMPTY_CUSTOM_UNIT, cleanStats, validateCustomUnit } from "./customUnits.js";
+
+/**
+ * Homebrew editor — create, edit and delete the user's custom units.
+ *
+ * rows: stored custom units (see customUnits.js); units: the merged catalog,
+ * used for nation/type suggestions and the list of known stat columns.
+ * onSave(row) stores a new (no id) or edited row and resolves true on success;
+ * onDelete(row) removes one.
+ */
+
+const HIDDEN_STATS = new Set(["id", "unit_id", "created_at", "updated_at"]);
+const input = "w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700";
+
+// stats object <-> editable [key, value] pairs
+const toPairs = (stats) => Object.entries(stats || {}).map(([k, v]) => [k, String(v)]);
+
+export default function CustomUnitsView({ rows, units, onSave, onDelete, saving }) {
+  const [draft, setDraft] = useState(EMPTY_CUSTOM_UNIT);
+  const [pairs, setPairs] = useState([]);
+  const [errors, setErrors] = useState([]);
+
+  const nations = useMemo(() => Array.from(new Set(units.map((u) => u.nation).filter(Boolean))).sort(), [units]);
+  const types = useMemo(() => Array.from(new Set(units.map((u) => u.type).filter(Boolean))).sort(), [units]);
+  const statColumns = useMemo(() => {
+    const keys = new Set();
+    units.forEach((u) => { if (!u.custom) Object.keys(u.stats || {}).forEach((k) => keys.add(k)); });
+    return [...keys].filter((k) => !HIDDEN_STATS.has(k)).sort();
+  }, [units]);
+
+  const field = (key) => ({ value: draft[key] ?? "", onChange: (e) => setDraft((d) => ({ ...d, [key]: e.target.value })) });
+
+  function edit(row) {
+    setDraft({ ...EMPTY_CUSTOM_UNIT, ...row, year: row.year ?? "", points: row.points ?? "" });
+    setPairs(toPairs(row.stats));
+    setErrors([]);
+  }
+
+  function reset() {
+    setDraft(EMPTY_CUSTOM_UNIT);
+    setPairs([]);
+    setErrors([]);
+  }
+
+  // one row per catalog stat column not in the form yet, so a new unit can follow the shared layout
+  function addCatalogColumns() {
+    const have = new Set(pairs.map(([k]) => k));
+    setPairs([...pairs, ...statColumns.filter((k) => !have.has(k)).map((k) => [k, ""])]);
+  }
+
+  async function save() {
+    const errs = validateCustomUnit(draft);
+    setErrors(errs);
+    if (errs.length) return;
+    const row = {
+      ...(draft.id ? { id: draft.id } : {}),
+      name: draft.name.trim(),
+      nation: String(draft.nation || "").trim(),
+      type: String(draft.type || "").trim(),
+      year: String(draft.year ?? "").trim() === "" ? null : Number(draft.year),
+      points: Number(draft.points),
+      abilities: String(draft.abilities || "").trim(),
+      stats: cleanStats(Object.fromEntries(pairs)),
+    };
+    if (await onSave(row)) reset();
+  }
+
+  return (
+    <section className="mt-4 grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-1 p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-2">
+        <div className="font-semibold">My custom units ({rows.length})</div>
+        <div className="text-xs opacity-60">They show up in the catalog with a "custom" badge. Formats that disallow homebrew leave them out.</div>
+        {rows.length === 0 && <div className="text-sm opacity-60">None yet.</div>}
+        <div className="divide-y divide-neutral-800">
+          {rows.map((row) => (
+            <div key={row.id} className={classNames("py-2", row.id === draft.id && "text-emerald-400")}>
+              <div className="font-medium truncate">{row.name}</div>
+              <div className="text-xs opacity-70">{row.nation || "—"} · {row.type || "—"} · {row.points} pts</div>
+              <div className="mt-1 flex gap-1 text-xs">
+                <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={() => edit(row)}>Edit</button>
+                <button className="px-2 py-0.5 rounded bg-neutral-800 border border-red-900 text-red-400" onClick={() => onDelete(row)}>Delete</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">{draft.id ? `Edit "${draft.name}"` : "New custom unit"}</div>
+          {draft.id && <button className="text-xs underline opacity-70" onClick={reset}>new unit instead</button>}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <label className="text-xs opacity-70 space-y-1"><span>Name</span><input className={input} {...field("name")} /></label>
+          <label className="text-xs opacity-70 space-y-1"><span>Points</span><input type="number" min={0} className={input} {...field("points")} /></label>
+          <label className="text-xs opacity-70 space-y-1"><span>Nation</span><input className={input} list="custom-nations" {...field("nation")} /></label>
+          <label className="text-xs opacity-70 space-y-1"><span>Type</span><input className={input} list="custom-types" {...field("type")} /></label>
+          <label className="text-xs opacity-70 space-y-1"><span>Year</span><input type="number" className={input} {...field("year")} /></label>
+        </div>
+        <datalist id="custom-nations">{nations.map((n) => <option key={n} value={n} />)}</datalist>
+        <datalist id="custom-types">{types.map((t) => <option key={t} value={t} />)}</datalist>
+        <label className="block text-xs opacity-70 space-y-1">
+          <span>Abilities (comma separated, like the catalog)</span>
+          <textarea className={input} rows={2} {...field("abilities")} />
+        </label>
+
+        <div className="space-y-1">
+          <div className="flex items-center justify-between text-xs">
+            <span className="opacity-70">Stats ({pairs.length} columns)</span>
+            <div className="flex gap-2">
+              {statColumns.length > 0 && <button className="underline" onClick={addCatalogColumns}>add catalog columns</button>}
+              <button className="underline" onClick={() => setPairs([...pairs, ["", ""]])}>add column</button>
+            </div>
+          </div>
+          <datalist id="custom-stat-columns">{statColumns.map((k) => <option key={k} value={k} />)}</datalist>
+          <div className="max-h-[360px] overflow-auto space-y-1">
+            {pairs.map(([k, v], i) => (
+              <div key={i} className="flex gap-1">
+                <input className="flex-1 px-2 py-1 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" list="custom-stat-columns" placeholder="column" value={k}
+                  onChange={(e) => setPairs(pairs.map((p, j) => (j === i ? [e.target.value, p[1]] : p)))} />
+                <input className="w-28 px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs" placeholder="value" value={v}
+                  onChange={(e) => setPairs(pairs.map((p, j) => (j === i ? [p[0], e.target.value] : p)))} />
+                <button className="px-2 rounded bg-neutral-800 border border-neutral-700 text-xs" onClick={() => setPairs(pairs.filter((_, j) => j !== i))} aria-label="Remove column">✕</button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {errors.length > 0 && <div className="text-sm text-red-400">{errors.join(" · ")}</div>}
+        <button disabled={saving} onClick={save} className={classNames("px-3 py-2 rounded", saving ? "bg-neutral-800 border border-neutral-700 opacity-60" : "bg-emerald-600 hover:bg-emerald-500")}>
+          {saving ? "Saving…" : draft.id ? "Save changes" : "Create unit"}
+        </button>
+      </div>
+    </section>
+  );
+}
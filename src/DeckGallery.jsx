@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { classNames } from "./classNames.js";
+
+/**
+ * Public deck gallery — decks saved with visibility "public" (unlisted and
+ * private ones never show up here).
+ *
+ * fetchPage({ pointCap, factionRule, nation, order, offset }) -> { rows, more } does
+ * all the filtering and paging on the server, so every page is full; rows are decks
+ * with deck_units(unit_id, count).
+ * onClone(row) copies a deck into the builder.
+ */
+
+const RULE_LABELS = { axis_only: "Axis-only", allies_only: "Allies-only", mixed: "Mixed" };
+
+export default function DeckGallery({ units, pointCaps, fetchPage, onClone, online }) {
+  const [pointCap, setPointCap] = useState("");
+  const [factionRule, setFactionRule] = useState("");
+  const [nation, setNation] = useState("");
+  const [order, setOrder] = useState("desc"); // created_at: desc = newest first
+  const [rows, setRows] = useState([]);
+  const [more, setMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const unitsById = useMemo(() => new Map(units.map((u) => [u.id, u])), [units]);
+  const nations = useMemo(() => Array.from(new Set(units.map((u) => u.nation).filter(Boolean))).sort(), [units]);
+
+  async function load(offset) {
+    setLoading(true); setError("");
+    try {
+      const page = await fetchPage({ pointCap: pointCap ? Number(pointCap) : null, factionRule: factionRule || null, nation: nation || null, order, offset });
+      setRows((prev) => (offset ? [...prev, ...page.rows] : page.rows));
+      setMore(page.more);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally { setLoading(false); }
+  }
+
+  useEffect(() => {
+    if (online) load(0);
+  }, [pointCap, factionRule, nation, order, online]);
+
+  const cards = useMemo(() => rows.map((row) => {
+    const items = (row.deck_units || []).map(({ unit_id, count }) => ({ unit: unitsById.get(unit_id), unit_id, count }));
+    const known = items.filter((x) => x.unit);
+    return {
+      row,
+      items,
+      nations: Array.from(new Set(known.map((x) => x.unit.nation).filter(Boolean))).sort(),
+      points: known.reduce((acc, { unit, count }) => acc + (unit.points || 0) * count, 0),
+      missing: items.length - known.length,
+    };
+  }), [rows, unitsById]);
+
+  const select = "bg-neutral-800 border border-neutral-700 rounded px-2 py-2";
+
+  return (
+    <section className="mt-4 p-4 rounded-2xl bg-neutral-900 border border-neutral-800">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <div className="font-semibold mr-2">Public decks</div>
+        <select className={select} value={pointCap} onChange={(e) => setPointCap(e.target.value)}>
+          <option value="">Any point cap</option>
+          {pointCaps.map((c) => <option key={c} value={c}>{c} pts</option>)}
+        </select>
+        <select className={select} value={factionRule} onChange={(e) => setFactionRule(e.target.value)}>
+          <option value="">Any faction rule</option>
+          {Object.entries(RULE_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select className={select} value={nation} onChange={(e) => setNation(e.target.value)}>
+          <option value="">Any nation</option>
+          {nations.map((n) => <option key={n} value={n}>{n}</option>)}
+        </select>
+        <select className={select} value={order} onChange={(e) => setOrder(e.target.value)}>
+          <option value="desc">Newest first</option>
+          <option value="asc">Oldest first</option>
+        </select>
+        <button className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700" disabled={loading || !online} onClick={() => load(0)}>Refresh</button>
+      </div>
+
+      {!online && <div className="text-sm text-amber-300">The gallery needs a connection.</div>}
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {!loading && !error && online && cards.length === 0 && <div className="text-sm opacity-60">No public decks match these filters.</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+        {cards.map(({ row, items, nations: deckNations, points, missing }) => (
+          <div key={row.id} className="p-3 rounded-xl bg-neutral-950 border border-neutral-800 flex flex-col gap-2">
+            <div>
+              <div className="font-medium truncate">{row.name}</div>
+              <div className="text-xs opacity-70">
+                {points} / {row.point_cap ?? "—"} pts · {RULE_LABELS[row.faction_rule] || row.faction_rule || "—"} · {new Date(row.created_at).toLocaleDateString()}
+              </div>
+              <div className="text-xs opacity-60 truncate">{deckNations.join(", ") || "—"}</div>
+            </div>
+            <ul className="text-xs opacity-80 space-y-0.5 max-h-32 overflow-auto">
+              {items.map(({ unit, unit_id, count }) => (
+                <li key={unit_id} className={classNames(!unit && "opacity-50")}>{count} × {unit ? unit.name : `${unit_id} (not in catalog)`}</li>
+              ))}
+            </ul>
+            {missing > 0 && <div className="text-xs text-amber-300">{missing} unit{missing === 1 ? "" : "s"} not in your catalog will be skipped</div>}
+            <button className="mt-auto px-3 py-2 rounded bg-emerald-600 hover:bg-emerald-500 text-sm" onClick={() => onClone(row)}>Clone into my builder</button>
+          </div>
+        ))}
+      </div>
+
+      {more && (
+        <button className="mt-3 w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700" disabled={loading} onClick={() => load(rows.length)}>
+          {loading ? "Loading…" : "Load more"}
+        </button>
+      )}
+      {loading && !more && <div className="mt-3 text-sm opacity-60">Loading…</div>}
+    </section>
+  );
+}
@@ -1,4 +1,26 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { decodeDeckCode, deckShareUrl, encodeDeckCode, validateImportedDeck } from "./deckCode.js";
+import { downloadText, fleetToCsv, fleetToText, importFleetList } from "./fleetList.js";
+import { DEFAULT_FORMAT, FORMATS, canAdd, findFormat, usesSelectedSets } from "./formats.js";
+import { DEFAULT_WEIGHTS, OBJECTIVES, findObjective, fleetScore } from "./optimizer.js";
+import CollectionView from "./CollectionView.jsx";
+import CustomUnitsView from "./CustomUnitsView.jsx";
+import { mergeCatalog, renameUnits, toCatalogUnit } from "./customUnits.js";
+import AnalyticsPanel from "./AnalyticsPanel.jsx";
+import SimulatorPanel from "./SimulatorPanel.jsx";
+import UnitDetail from "./UnitDetail.jsx";
+import DeckGallery from "./DeckGallery.jsx";
+import FleetSheet from "./FleetSheet.jsx";
+import { BUNDLED_FACTIONS, createFactionRegistry, deckFaction } from "./factions.js";
+import { EMPTY_FILTERS, SORTS, activeFilterCount } from "./catalogQuery.js";
+import VirtualList from "./VirtualList.jsx";
+import { classNames } from "./classNames.js";
+import { copiesLeft, newRosterDeck, rosterShortfalls, rosterSummary } from "./roster.js";
+import { EMPTY_HISTORY, diffDecks, record, redo, sameDeck, snapshotStore, undo } from "./deckHistory.js";
+import { catalogCache, isNetworkError, localDecks } from "./offline.js";
+import { readAuthParams, toSession, urlWithoutAuthParams } from "./session.js";
+import { createSupabase } from "./supabase.js";
+import { catalogView, copiesCap, deckItemsOf, deckLegality, deckTotals, indexUnits, legalityContext, recommendFleets } from "./deckLogic.js";
 
 /**
  * WAR AT SEA — DECKBUILDER v1 (patched)
@@ -8,7 +30,7 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Disables the Sign-in button with a live countdown (seconds) until retry
  * - Stores cooldown in localStorage so refreshes keep the timer
  * - Friendlier error messages (no raw JSON dump)
- * - Tiny test cases for the wait-time parser (see console)
+ * - Tests for the wait-time parser (test/supabase.test.js)
  *
  * What you get in this single file:
  * - Email sign-in with Supabase (magic link)
@@ -21,43 +43,36 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Add/remove items with per-unit Copies cap
  * - Live totals: points, counts, and summed effective damage by range (0-3)
  * - Save deck to Supabase (decks, deck_units)
+ * - My Decks: list, open, rename, duplicate, delete; saving an opened deck updates it in place
+ * - Deck codes + share links (?deck=...), import box with a validation report
+ * - Text roster / CSV export, and import of pasted lists with fuzzy name matching
+ * - Tournament formats (formats.js): legality rules as data, violations shown and enforced
+ * - Recommend: fleet optimizer (optimizer.js) with objectives, alternatives and "complete my deck"
+ * - Collection view: edit owned/copies per unit, bulk by set, completion stats (upserts user_ownership)
+ * - Offline: catalog cached in IndexedDB, decks saved on this device when signed out/offline, synced on sign-in
+ * - Session kept across reloads (session.js): token refresh, one retry on 401, sign-out
+ * - Analysis pane: attack by range/category, defense, speed, points by type/nation, deck vs deck
+ * - Unit detail drawer: full stat card by range, abilities with glossary (click a unit name)
+ * - Faction registry (factions.js): nation -> side by year, from nation_factions with a bundled fallback
+ * - Catalog search (catalogQuery.js): query syntax, multi-select filters, sorting, saved filter presets
+ * - Large catalogs: paged fetching, id-indexed lookups, windowed unit lists (VirtualList.jsx)
+ * - Deck visibility (private / unlisted / public) and a gallery of public decks to clone from (DeckGallery.jsx)
+ * - Printable fleet sheet (FleetSheet.jsx): stats, abilities and hull boxes per copy, print-to-PDF ready
+ * - Matchup simulator (battleSim.js): Monte Carlo exchanges per range band against a saved or pasted deck
+ * - Tournament rosters (roster.js): several decks sharing one collection's copies, checked per deck, saved as a group
+ * - Custom / homebrew units per user (customUnits.js), merged into the catalog with a badge, barred by noHomebrew formats
+ * - Undo/redo for deck edits (Ctrl+Z / Ctrl+Shift+Z) and named snapshots with diff + restore (deckHistory.js)
+ * - Deck logic (deckLogic.js) and the Supabase client (supabase.js) as plain modules, covered by `npm test` (test/)
  *
  * Setup — fill these two from your Supabase project (Settings → API):
  */
 // Read from Vite env vars in production; fall back to globals if needed
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || window?.__SUPABASE_URL__; // set in Vercel → Env Vars
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || window?.__SUPABASE_ANON_KEY__; // set in Vercel → Env Vars
+const SUPABASE_CONFIGURED = Boolean(SUPABASE_URL && SUPABASE_ANON_KEY); // false = local-only mode
 
-// -------------- helpers (HTTP + auth) --------------
-const rest = async (path, init = {}) => {
-  const url = `${SUPABASE_URL}/rest/v1/${path}`;
-  const headers = {
-    apikey: SUPABASE_ANON_KEY,
-    Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-    Accept: "application/json",
-    ...init.headers,
-  };
-  const res = await fetch(url, { ...init, headers });
-  if (!res.ok) throw new Error(await res.text());
-  return await res.json();
-};
-
-/** Extract seconds to wait from a Supabase error message. */
-function parseWaitSeconds(msg) {
-  if (!msg || typeof msg !== "string") return null;
-  // e.g. "For security purposes, you can only request this after 54 seconds."
-  const m = msg.match(/(\d+)\s*(?:second|sec|s)\b/i);
-  if (m) return parseInt(m[1], 10);
-  // If the message says "1 minute" etc., convert to seconds
-  const m2 = msg.match(/(\d+)\s*(?:minute|min|m)\b/i);
-  if (m2) return parseInt(m2[1], 10) * 60;
-  return null;
-}
-
-// Tiny test cases (printed in console)
-console.assert(parseWaitSeconds("after 54 seconds") === 54, "parseWaitSeconds #1");
-console.assert(parseWaitSeconds("wait 1 minute") === 60, "parseWaitSeconds #2");
-console.assert(parseWaitSeconds("") === null, "parseWaitSeconds #3");
+// -------------- Supabase (supabase.js) --------------
+const { rest, restAs, auth, sessionStore, deckStore, userStore, catalog } = createSupabase({ url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY });
 
 function formatError(e) {
   try {
@@ -69,79 +84,142 @@ function formatError(e) {
   } catch { return "Unknown error"; }
 }
 
-// Supabase GoTrue (magic link) with friendly errors + rate-limit info
-// Supabase GoTrue (magic link) with friendly errors + rate-limit info
-const auth = {
-  signInMagic: async (email) => {
-    // Always send an explicit redirect URL so the magic link doesn't default to localhost:3000
-    const REDIRECT = `${window.location.origin}/`; // e.g. http://localhost:5173/
-    const body = {
-      email,
-      create_user: true,
-      // Works with newer GoTrue: options.email_redirect_to
-      options: { email_redirect_to: REDIRECT },
-      // Works with older versions too: redirect_to at top-level
-      redirect_to: REDIRECT,
-    };
-
-    const res = await fetch(`${SUPABASE_URL}/auth/v1/magiclink`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        apikey: SUPABASE_ANON_KEY,
-        Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-      },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      let payload = {};
-      try { payload = JSON.parse(text); } catch { payload = { msg: text }; }
-      const err = new Error(payload.msg || "Sign-in failed");
-      err.code = res.status;
-      err.error_code = payload.error_code;
-      err.wait = parseWaitSeconds(payload.msg);
-      throw err;
+// Public decks for the gallery, read with the anon key (needs an RLS policy allowing
+// select on decks/deck_units where visibility = 'public'). One extra row tells whether there is more.
+// The nation filter keeps decks with at least one unit of that nation: an inner-joined second
+// embed of deck_units -> units, so the deck_units list itself stays complete.
+const GALLERY_PAGE = 24;
+const galleryStore = {
+  list: async ({ pointCap, factionRule, nation, order = "desc", offset = 0 }) => {
+    const q = ["visibility=eq.public", `order=created_at.${order}`, `limit=${GALLERY_PAGE + 1}`, `offset=${offset}`];
+    let select = "id,name,description,point_cap,faction_rule,created_at,deck_units(unit_id,count)";
+    if (pointCap) q.push(`point_cap=eq.${pointCap}`);
+    if (factionRule) q.push(`faction_rule=eq.${factionRule}`);
+    if (nation) {
+      select += ",nation_match:deck_units!inner(units!inner(nation))";
+      q.push(`nation_match.units.nation=eq.${encodeURIComponent(nation)}`);
     }
-  },
-  getUser: async (accessToken) => {
-    const res = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
-      headers: {
-        apikey: SUPABASE_ANON_KEY,
-        Authorization: `Bearer ${accessToken}`,
-      },
-    });
-    if (!res.ok) return null;
-    return await res.json();
+    const rows = await rest(`decks?select=${select}&${q.join("&")}`);
+    return { rows: rows.slice(0, GALLERY_PAGE), more: rows.length > GALLERY_PAGE };
   },
 };
 
+// private: only the owner · unlisted: readable by id, kept out of the gallery · public: in the gallery
+const VISIBILITIES = [
+  { id: "private", label: "Private" },
+  { id: "unlisted", label: "Unlisted" },
+  { id: "public", label: "Public" },
+];
+
+// Named catalog filter presets: filter_presets (user_id, name, filters jsonb) when signed in,
+// localStorage when signed out or if the project has no such table
+const presetStore = userStore({ table: "filter_presets", select: "name,filters" });
+
+// Tournament rosters: rosters (user_id, name, decks jsonb, point_cap, faction_rule, format_id, updated_at)
+// when signed in, localStorage otherwise — same store as filter presets
+const rosterStore = userStore({ table: "rosters", select: "name,decks,point_cap,faction_rule,format_id,updated_at" });
+
+// Homebrew units: custom_units (id, user_id, name, nation, type, year, points, abilities, stats jsonb)
+// when signed in, localStorage otherwise — same store as filter presets, keyed by id
+const customUnitStore = userStore({ table: "custom_units", select: "id,name,nation,type,year,points,abilities,stats", key: "id" });
+
+/** deck_units rows -> { unit_id: count } */
+function deckFromRows(rows) {
+  const out = {};
+  (rows || []).forEach((r) => { if (r.count > 0) out[r.unit_id] = r.count; });
+  return out;
+}
+
 // -------------- constants --------------
 const POINT_CAPS = [50, 80, 110, 150, 200, 250];
+const UNIT_ROW_HEIGHT = 76; // px, fixed so the catalog list can be windowed
 const DEFAULT_CAP = 150;
 const DEFAULT_RULE = "axis_only"; // axis_only | allies_only | mixed
 
-function classNames(...xs) {
-  return xs.filter(Boolean).join(" ");
+const FACTIONS_CACHE_KEY = "nation_factions"; // last rows fetched from Supabase, for offline use
+
+function cachedFactionRows() {
+  try { return JSON.parse(localStorage.getItem(FACTIONS_CACHE_KEY) || "null") || BUNDLED_FACTIONS; } catch { return BUNDLED_FACTIONS; }
+}
+
+// "+3", "-1.50", "0" for deltas
+const signed = (v, digits = 0) => `${v > 0 ? "+" : ""}${v.toFixed(digits)}`;
+
+// Checkbox dropdown for the multi-select filters
+function MultiSelect({ label, options, value, onChange }) {
+  const toggle = (o) => onChange(value.includes(o) ? value.filter(x => x !== o) : [...value, o]);
+  return (
+    <details className="rounded bg-neutral-800 border border-neutral-700">
+      <summary className="px-2 py-2 cursor-pointer text-sm">{label}{value.length ? `: ${value.length} selected` : ": all"}</summary>
+      <div className="max-h-48 overflow-auto px-2 pb-2 space-y-1">
+        {value.length > 0 && <button className="text-xs underline opacity-70" onClick={()=>onChange([])}>clear</button>}
+        {options.map(o => (
+          <label key={o} className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={value.includes(o)} onChange={()=>toggle(o)} />
+            {o}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
 }
 
 export default function App() {
-  const [session, setSession] = useState(null); // {access_token, user}
+  const [session, setSession] = useState(() => sessionStore.get()); // {access_token, refresh_token, expires_at, user}
   const [email, setEmail] = useState("");
 
-  const [units, setUnits] = useState([]); // joined units + stats
+  const [sharedUnits, setUnits] = useState([]); // joined units + stats
+  const [customRows, setCustomRows] = useState([]); // this user's homebrew units, see customUnits.js
+  const [savingCustom, setSavingCustom] = useState(false);
+  const units = useMemo(() => mergeCatalog(sharedUnits, customRows), [sharedUnits, customRows]);
+  const [factionRows, setFactionRows] = useState(cachedFactionRows); // nation -> faction registry rows
   const [ownership, setOwnership] = useState({}); // unit_id -> {owned, copies}
+  const [view, setView] = useState("builder"); // builder | collection | gallery | homebrew
+  const [savingOwnership, setSavingOwnership] = useState(false);
 
   const [pointCap, setPointCap] = useState(DEFAULT_CAP);
   const [factionRule, setFactionRule] = useState(DEFAULT_RULE); // axis_only | allies_only | mixed
   const [ownedOnly, setOwnedOnly] = useState(true);
+  const [formatId, setFormatId] = useState(DEFAULT_FORMAT);
+  const [selectedSets, setSelectedSets] = useState([]); // for formats with a "sets" rule
+
+  // Recommend (optimizer) settings + last results
+  const [objectiveId, setObjectiveId] = useState("damage");
+  const [rangeWeights, setRangeWeights] = useState(DEFAULT_WEIGHTS);
+  const [balance, setBalance] = useState(0); // 0..1, type-balance penalty
+  const [completeDeck, setCompleteDeck] = useState(false); // keep current units, fill the rest
+  const [recs, setRecs] = useState([]); // [{deck, items, score, points}]
+  const [optimizing, setOptimizing] = useState(false);
 
-  const [q, setQ] = useState("");
-  const [nation, setNation] = useState("All");
-  const [type, setType] = useState("All");
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // see catalogQuery.js
+  const [sortId, setSortId] = useState("name");
+  const [sortDir, setSortDir] = useState("asc");
+  const [presets, setPresets] = useState([]); // [{name, filters}]
+  const [roster, setRoster] = useState(null); // { name, decks: [{key, name, deck}], activeKey } while in roster mode
+  const [savedRosters, setSavedRosters] = useState([]); // [{name, decks: [{name, deck}], point_cap, faction_rule, format_id}]
 
   const [deck, setDeck] = useState({}); // unit_id -> count
+  const [history, setHistory] = useState(EMPTY_HISTORY); // undo/redo, see deckHistory.js
+  const [snapshots, setSnapshots] = useState([]); // named snapshots of the deck being edited
+  const [compareSnapId, setCompareSnapId] = useState(null);
+  const [detailId, setDetailId] = useState(null); // unit shown in the detail drawer
+  const [sheetOpen, setSheetOpen] = useState(false); // print preview of the fleet sheet
   const [deckName, setDeckName] = useState("My Axis 150");
+  const [deckId, setDeckId] = useState(null); // id of the saved deck being edited, null = new
+  const [visibility, setVisibility] = useState("private"); // see VISIBILITIES
+  const [library, setLibrary] = useState([]); // saved decks with their deck_units
+  const [libraryLoading, setLibraryLoading] = useState(false);
+  const [localList, setLocalList] = useState(() => localDecks.list(sessionStore.get()?.user?.id)); // decks saved on this device
+  const [localDeckId, setLocalDeckId] = useState(null); // local_id of the device deck being edited
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [catalogInfo, setCatalogInfo] = useState(null); // { source: "cache" | "network", savedAt }
+
+  // Deck code import (box or ?deck= in the URL)
+  const [importText, setImportText] = useState("");
+  const [importReport, setImportReport] = useState(null); // result of validateImportedDeck
+  const [listText, setListText] = useState(""); // pasted text/CSV fleet list
+  const [listReport, setListReport] = useState(null); // { matched, unmatched, overCopies, overCap, points }
+  const [pendingCode, setPendingCode] = useState(() => new URLSearchParams(window.location.search).get("deck"));
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
   const [ok, setOk] = useState("");
@@ -167,106 +245,175 @@ export default function App() {
       setCooldownLeft(0);
     }
     return () => { if (id) clearInterval(id); };
-  }, [cooldownUntil]);  // pick up access token from URL hash or query (magic link flow)
+  }, [cooldownUntil]);
+
+  useEffect(() => sessionStore.subscribe(setSession), []);
+
+  // pick up tokens from URL hash or query (magic link flow), then drop them from the address bar;
+  // otherwise make sure a stored session is still usable
   useEffect(() => {
-    const fromHash = new URLSearchParams(window.location.hash.replace(/^#/, "?"));
-    const fromQuery = new URLSearchParams(window.location.search);
-    const token = fromHash.get("access_token") || fromQuery.get("access_token");
-    if (token) {
-      auth.getUser(token).then((user) => {
-        if (user) setSession({ access_token: token, user });
-      }).catch(console.error);
+    const params = readAuthParams();
+    if (!params) {
+      if (sessionStore.expiresSoon()) sessionStore.refresh();
+      return;
     }
+    window.history.replaceState(null, "", urlWithoutAuthParams());
+    if (params.error) { setError(`Sign-in failed: ${params.error}`); return; }
+    auth.getUser(params.access_token).then((user) => {
+      if (user) sessionStore.set(toSession(params, user));
+      else setError("Sign-in link is invalid or has expired");
+    }).catch((e) => setError(formatError(e)));
   }, []);
 
-  // load units + stats
+  // refresh shortly before the access token expires
   useEffect(() => {
-    (async () => {
-      try {
-        const u = await rest("units?select=id,name,nation,type,year,points,set_name,rarity,abilities");
-        const s = await rest("unit_stats?select=*&limit=10000");
-        const sMap = new Map(s.map((r) => [r.unit_id, r]));
-        const merged = u.map((x) => ({ ...x, stats: sMap.get(x.id) || {} }));
-        setUnits(merged);
-      } catch (e) {
-        setError(formatError(e));
-      }
-    })();
+    if (!session?.expires_at || !online) return;
+    const ms = Math.max(0, (session.expires_at - 60) * 1000 - Date.now());
+    const id = setTimeout(() => { sessionStore.refresh(); }, ms);
+    return () => clearTimeout(id);
+  }, [session, online]);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
   }, []);
 
+  // load units + stats (cached copy first, network when the version changed)
+  useEffect(() => { loadCatalog(); }, []);
+
+  // faction registry: nation_factions table if the project has one, else the bundled list
+  useEffect(() => {
+    if (!SUPABASE_CONFIGURED) return;
+    rest("nation_factions?select=nation,faction,from_year,to_year,aliases").then((rows) => {
+      if (!rows?.length) return;
+      setFactionRows(rows);
+      localStorage.setItem(FACTIONS_CACHE_KEY, JSON.stringify(rows));
+    }).catch(() => { /* table missing or offline: keep the cached/bundled registry */ });
+  }, []);
+
+  // push what was saved on this device once we are signed in and online: custom units
+  // first, since pending decks may use them
+  useEffect(() => {
+    refreshLocalList();
+    if (!session || !online) return;
+    claimCustomUnits().then(() => { if (localDecks.list(session.user.id).length) syncLocalDecks(); });
+  }, [session, online]);
+
   // load ownership if logged in
   useEffect(() => {
-    if (!session) return;
+    if (!session || !online) return;
     (async () => {
       try {
-        const res = await fetch(`${SUPABASE_URL}/rest/v1/user_ownership?select=unit_id,owned,copies`, {
-          headers: {
-            apikey: SUPABASE_ANON_KEY,
-            Authorization: `Bearer ${session.access_token}`,
-          },
-        });
-        if (!res.ok) throw new Error(await res.text());
-        const data = await res.json();
+        const data = await restAs(session.access_token, "user_ownership?select=unit_id,owned,copies");
         const map = {}; data.forEach((r) => { map[r.unit_id] = r; });
         setOwnership(map);
       } catch (e) { setError(formatError(e)); }
     })();
+  }, [session, online]);
+
+  // ?deck=<code> from a share link: import once the catalog is here, then drop it from the URL
+  useEffect(() => {
+    if (!pendingCode || units.length === 0) return;
+    importDeckCode(pendingCode);
+    setPendingCode(null);
+    const url = new URL(window.location.href);
+    url.searchParams.delete("deck");
+    window.history.replaceState(null, "", url.toString());
+  }, [pendingCode, units]);
+
+  // filter presets (per user; anonymous ones live in this browser)
+  useEffect(() => {
+    presetStore.list(session).then(setPresets).catch((e) => { setPresets([]); setError(formatError(e)); });
+    rosterStore.list(session).then(setSavedRosters).catch((e) => { setSavedRosters([]); setError(formatError(e)); });
+    customUnitStore.list(session).then(setCustomRows).catch((e) => { setCustomRows([]); setError(formatError(e)); });
   }, [session]);
 
+  // load saved decks if logged in
+  useEffect(() => {
+    if (!session) { setLibrary([]); return; }
+    if (online) loadLibrary();
+  }, [session, online]);
+
   // derived filters
-  const nations = useMemo(() => ["All", ...Array.from(new Set(units.map(u => u.nation).filter(Boolean))).sort()], [units]);
-  const types = useMemo(() => ["All", ...Array.from(new Set(units.map(u => u.type).filter(Boolean))).sort()], [units]);
-
-  const filtered = useMemo(() => {
-    let list = units;
-    if (q) {
-      const qq = q.toLowerCase();
-      list = list.filter(u => u.name?.toLowerCase().includes(qq) || u.abilities?.toLowerCase().includes(qq));
-    }
-    if (nation !== "All") list = list.filter(u => u.nation === nation);
-    if (type !== "All") list = list.filter(u => u.type === type);
+  const nations = useMemo(() => Array.from(new Set(units.map(u => u.nation).filter(Boolean))).sort(), [units]);
+  const types = useMemo(() => Array.from(new Set(units.map(u => u.type).filter(Boolean))).sort(), [units]);
+  const rarities = useMemo(() => Array.from(new Set(units.map(u => u.rarity).filter(Boolean))).sort(), [units]);
 
-    if (factionRule !== "mixed") {
-      const axis = new Set(["Germany","Italy","Japan","Finland","Romania","Hungary","Bulgaria","Axis"]);
-      const allies = new Set(["USA","United States","United Kingdom","UK","Britain","Soviet Union","USSR","France","Canada","Netherlands","Poland","Australia","New Zealand","Greece","Norway","Allies"]);
-      list = list.filter(u => factionRule === "axis_only" ? axis.has(u.nation) : allies.has(u.nation));
-    }
+  const factions = useMemo(() => createFactionRegistry(factionRows), [factionRows]);
+  const unmappedCount = useMemo(() => units.filter(u => !factions.isMapped(u.nation)).length, [units, factions]);
 
-    if (ownedOnly) {
-      list = list.filter(u => (ownership[u.id]?.owned) || (ownership[u.id]?.copies > 0));
-    }
-    return list;
-  }, [units, q, nation, type, factionRule, ownedOnly, ownership]);
+  // the catalog, deck and legality values below come from deckLogic.js
+  const format = findFormat(formatId);
+  const filtered = useMemo(
+    () => catalogView(units, { filters, sortId, sortDir, factionRule, ownedOnly, ownership, registry: factions, format }),
+    [units, filters, sortId, sortDir, factionRule, ownedOnly, ownership, factions, format]);
 
   // deck derived values
-  const deckItems = useMemo(() => Object.entries(deck).map(([unit_id, count]) => {
-    const u = units.find(x => x.id === unit_id);
-    return { unit: u, count };
-  }).filter(x => x.unit), [deck, units]);
-
-  const deckPoints = useMemo(() => deckItems.reduce((acc, { unit, count }) => acc + (unit.points||0) * count, 0), [deckItems]);
-
-  const effectiveSumByRange = useMemo(() => {
-    const ranges = [0,1,2,3];
-    const out = { 0:0,1:0,2:0,3:0 };
-    for (const { unit, count } of deckItems) {
-      const st = unit.stats || {};
-      ranges.forEach(r => {
-        const v = Number(st[`effective_gunnerytotal_${r}`] || 0);
-        out[r] += v * count;
-      });
-    }
-    return out;
-  }, [deckItems]);
-
-  const factionOfDeck = useMemo(() => {
-    const nationsInDeck = new Set(deckItems.map(x => x.unit.nation));
-    const axis = new Set(["Germany","Italy","Japan","Finland","Romania","Hungary","Bulgaria","Axis"]);
-    const allies = new Set(["USA","United States","United Kingdom","UK","Britain","Soviet Union","USSR","France","Canada","Netherlands","Poland","Australia","New Zealand","Greece","Norway","Allies"]);
-    const allAxis = [...nationsInDeck].every(n => axis.has(n));
-    const allAllies = [...nationsInDeck].every(n => allies.has(n));
-    return allAxis ? "Axis" : allAllies ? "Allies" : "Mixed";
-  }, [deckItems]);
+  const unitsById = useMemo(() => indexUnits(units), [units]);
+  const deckItems = useMemo(() => deckItemsOf(deck, unitsById), [deck, unitsById]);
+  const totals = useMemo(() => deckTotals(deckItems), [deckItems]);
+  const deckPoints = totals.points;
+  const effectiveSumByRange = totals.effectiveByRange;
+
+  const deckSide = useMemo(() => deckFaction(deckItems, factions), [deckItems, factions]);
+  const factionOfDeck = deckSide.faction;
+
+  // format / legality
+  const sets = useMemo(() => Array.from(new Set(units.map(u => u.set_name).filter(Boolean))).sort(), [units]);
+  const legality = useMemo(() => legalityContext({ format, pointCap, factionRule, registry: factions, selectedSets }), [format, pointCap, factionRule, factions, selectedSets]);
+  const { rules, env: ruleEnv } = legality;
+  const violations = useMemo(() => deckLegality(legality, deckItems).violations, [legality, deckItems]);
+
+  // roster mode: the deck being edited is live in `deck`, the others wait in the roster
+  const rosterDecks = useMemo(() => roster && roster.decks.map(d => d.key === roster.activeKey ? { ...d, name: deckName, deck } : d), [roster, deck, deckName]);
+  const rosterInfo = useMemo(() => {
+    if (!rosterDecks) return null;
+    return {
+      summary: rosterSummary(rosterDecks, unitsById, (d) => deckLegality(legality, deckItemsOf(d, unitsById)).violations),
+      shortfalls: rosterShortfalls(rosterDecks, ownership).map(x => ({ ...x, unit: unitsById.get(x.unit_id) })),
+    };
+  }, [rosterDecks, unitsById, legality, ownership]);
+
+  // Copies of a unit the current deck may hold: the owned copies, minus those other roster decks use
+  const maxCopiesOf = (u) => rosterDecks ? copiesLeft(rosterDecks, ownership, u.id, roster.activeKey) : copiesCap(ownership, u);
+
+  const valueOf = useMemo(() => {
+    const objective = findObjective(objectiveId);
+    return (u) => objective.value(u, rangeWeights);
+  }, [objectiveId, rangeWeights]);
+  const deckScore = useMemo(() => fleetScore(deckItems, valueOf, balance), [deckItems, valueOf, balance]);
+
+  // decks the Analysis pane can compare against
+  const compareOptions = useMemo(() => [
+    ...library.filter(row => row.id !== deckId).map(row => ({ id: `db:${row.id}`, name: row.name, deck: deckFromRows(row.deck_units) })),
+    ...localList.filter(row => row.local_id !== localDeckId).map(row => ({ id: `local:${row.local_id}`, name: `${row.name} (device)`, deck: row.deck || {} })),
+  ], [library, localList, deckId, localDeckId]);
+
+  const shareCode = useMemo(() => encodeDeckCode({ deck, pointCap, factionRule }), [deck, pointCap, factionRule]);
+
+  // snapshots belong to the saved deck, the device deck or the unsaved draft
+  const snapshotKey = deckId || localDeckId || "draft";
+  useEffect(() => { setSnapshots(snapshotStore.list(snapshotKey)); }, [snapshotKey]);
+  const snapshotDiff = useMemo(() => {
+    const snap = snapshots.find(x => x.id === compareSnapId);
+    return snap ? { snap, ...diffDecks(snap.deck, deck, unitsById) } : null;
+  }, [snapshots, compareSnapId, deck, unitsById]);
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (text fields keep their own undo)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable=true]")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); undoDeck(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redoDeck(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [history, deck]); // undoDeck/redoDeck read only these
 
   // actions
   async function onMagicSubmit(e) {
@@ -290,121 +437,592 @@ export default function App() {
     }
   }
 
+  async function signOut() {
+    await sessionStore.signOut();
+    setOwnership({}); setLibrary([]);
+    setDeckId(null);
+    setView("builder");
+    setError(""); setOk("Signed out");
+  }
+
+  // Upsert edited user_ownership rows; resolves true on success so the collection view can drop its draft
+  async function saveOwnership(rows) {
+    if (!session || rows.length === 0) return false;
+    setSavingOwnership(true); setError(""); setOk("");
+    try {
+      const saved = await restAs(session.access_token, "user_ownership?on_conflict=user_id,unit_id", {
+        method: "POST",
+        headers: { Prefer: "resolution=merge-duplicates,return=representation" },
+        body: JSON.stringify(rows.map(r => ({ ...r, user_id: session.user.id }))),
+      });
+      setOwnership(prev => {
+        const next = { ...prev };
+        (saved || rows).forEach(r => { next[r.unit_id] = r; });
+        return next;
+      });
+      setOk(`Collection saved (${rows.length} unit${rows.length===1?"":"s"})`);
+      return true;
+    } catch (e) { setError(formatError(e)); return false; }
+    finally { setSavingOwnership(false); }
+  }
+
+  async function saveCustomUnit(row) {
+    setSavingCustom(true); setError(""); setOk("");
+    try {
+      await customUnitStore.save(session, row);
+      setCustomRows(await customUnitStore.list(session));
+      setOk(`Custom unit "${row.name}" saved`);
+      return true;
+    } catch (e) { setError(formatError(e)); return false; }
+    finally { setSavingCustom(false); }
+  }
+
+  async function deleteCustomUnit(row) {
+    if (!window.confirm(`Delete custom unit "${row.name}"? Decks using it will lose it.`)) return;
+    setError(""); setOk("");
+    try {
+      await customUnitStore.remove(session, row.id);
+      setCustomRows(await customUnitStore.list(session));
+      setOk(`Custom unit "${row.name}" deleted`);
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  // Custom units made while signed out move into the account; decks using them follow the new ids
+  async function claimCustomUnits() {
+    const { claimed, failed } = await customUnitStore.claimLocal(session);
+    if (claimed.length) {
+      const renamed = Object.fromEntries(claimed.map(({ from, to }) => [toCatalogUnit(from).id, toCatalogUnit(to).id]));
+      setDeck((d) => renameUnits(d, renamed));
+      localDecks.update(session.user.id, (row) => ({ ...row, deck: renameUnits(row.deck, renamed) }));
+      refreshLocalList();
+      setOk(`Moved ${claimed.length} custom unit${claimed.length===1?"":"s"} from this device to your account`);
+      try { setCustomRows(await customUnitStore.list(session)); } catch (e) { setError(formatError(e)); }
+    }
+    if (failed) setError(`Moving custom units to your account stopped: ${formatError(failed)}`);
+  }
+
+  function setFilter(key, value) {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  }
+
+  function toggleSort(id) {
+    if (id === sortId) setSortDir(sortDir === "asc" ? "desc" : "asc");
+    else { setSortId(id); setSortDir(id === "name" || id === "nation" || id === "type" ? "asc" : "desc"); }
+  }
+
+  async function savePreset() {
+    const name = window.prompt("Save these filters as", "");
+    if (!name) return;
+    setError(""); setOk("");
+    try {
+      await presetStore.save(session, { name: name.trim(), filters });
+      setPresets(await presetStore.list(session));
+      setOk(`Preset "${name.trim()}" saved`);
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  async function deletePreset(name) {
+    if (!window.confirm(`Delete preset "${name}"?`)) return;
+    setError(""); setOk("");
+    try {
+      await presetStore.remove(session, name);
+      setPresets(await presetStore.list(session));
+      setOk(`Preset "${name}" deleted`);
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  function chooseFormat(id) {
+    const f = findFormat(id);
+    setFormatId(f.id);
+    if (f.pointCap) setPointCap(f.pointCap);
+    if (f.factionRule) setFactionRule(f.factionRule);
+  }
+
+  function toggleSet(name) {
+    setSelectedSets(prev => prev.includes(name) ? prev.filter(x => x !== name) : [...prev, name]);
+  }
+
+  // Every edit of the current deck goes through here so it can be undone
+  function editDeck(next) {
+    if (sameDeck(next, deck)) return;
+    setHistory(h => record(h, deck));
+    setDeck(next);
+  }
+
+  // Switching to another deck starts a fresh history
+  function loadDeck(next) {
+    setDeck(next);
+    setHistory(EMPTY_HISTORY);
+    setCompareSnapId(null);
+  }
+
+  function undoDeck() {
+    const step = undo(history, deck);
+    if (step) { setDeck(step.deck); setHistory(step.history); }
+  }
+  function redoDeck() {
+    const step = redo(history, deck);
+    if (step) { setDeck(step.deck); setHistory(step.history); }
+  }
+
   function addToDeck(u) {
-    const maxCopies = ownership[u.id]?.copies ?? 99;
-    setDeck(prev => {
-      const cur = prev[u.id] || 0;
-      if (cur >= maxCopies) return prev; // cap
-      const next = { ...prev, [u.id]: cur + 1 };
-      return next;
-    });
+    if (!canAdd(rules, deckItems, u, ruleEnv).ok) return;
+    const maxCopies = maxCopiesOf(u);
+    const cur = deck[u.id] || 0;
+    if (cur >= maxCopies) return; // cap
+    editDeck({ ...deck, [u.id]: cur + 1 });
   }
   function removeFromDeck(u) {
-    setDeck(prev => {
-      const cur = prev[u.id] || 0;
-      if (cur <= 1) { const { [u.id]:_, ...rest } = prev; return rest; }
-      return { ...prev, [u.id]: cur - 1 };
+    const cur = deck[u.id] || 0;
+    if (cur <= 1) { const { [u.id]:_, ...rest } = deck; editDeck(rest); return; }
+    editDeck({ ...deck, [u.id]: cur - 1 });
+  }
+  function clearDeck() { editDeck({}); }
+
+  function takeSnapshot() {
+    const name = window.prompt("Snapshot name", `${deckName || "Deck"} — ${deckPoints} pts`);
+    if (!name) return;
+    snapshotStore.save(snapshotKey, { name, deck, point_cap: pointCap });
+    setSnapshots(snapshotStore.list(snapshotKey));
+  }
+  function restoreSnapshot(snap) {
+    editDeck(snap.deck || {});
+    setOk(`Restored snapshot "${snap.name}" — Undo brings back the previous deck`);
+  }
+  function deleteSnapshot(snap) {
+    snapshotStore.remove(snapshotKey, snap.id);
+    if (snap.id === compareSnapId) setCompareSnapId(null);
+    setSnapshots(snapshotStore.list(snapshotKey));
+  }
+
+  async function loadCatalog(force = false) {
+    const cached = await catalogCache.load();
+    if (cached?.units?.length) {
+      setUnits(cached.units);
+      setCatalogInfo({ source: "cache", savedAt: cached.savedAt });
+    }
+    if (!SUPABASE_CONFIGURED) {
+      if (!cached) setError("Supabase is not configured and there is no cached catalog yet");
+      return;
+    }
+    try {
+      // an unreadable version is never equal to the cached one, so the catalog is fetched anyway
+      const version = await catalog.version().catch((e) => { if (isNetworkError(e)) throw e; return null; });
+      if (!force && !catalogCache.isStale(cached, version)) return;
+      const merged = await catalog.fetch();
+      setUnits(merged);
+      setCatalogInfo({ source: "network", savedAt: Date.now() });
+      catalogCache.save(merged, version);
+    } catch (e) {
+      // with a cached catalog we just stay on it; the header shows we're offline
+      if (!cached || !isNetworkError(e)) setError(formatError(e));
+    }
+  }
+
+  function refreshLocalList() { setLocalList(localDecks.list(session?.user?.id)); }
+
+  // Save the current deck on this device; keeps the server id so sync updates instead of duplicating
+  function saveLocalDeck(asNew) {
+    // signed out, the deck is pushed as a new one on the next sign-in, whoever's account that is
+    const stored = localDecks.save(session?.user?.id, {
+      local_id: asNew ? undefined : localDeckId || undefined,
+      deck_id: asNew || !session ? null : deckId,
+      ...deckRow(),
+      deck,
     });
+    if (!asNew) snapshotStore.move(snapshotKey, stored.local_id);
+    setLocalDeckId(stored.local_id);
+    refreshLocalList();
+  }
+
+  // One local deck -> decks/deck_units; returns the server id
+  async function pushLocalDeck(row) {
+    const token = session.access_token;
+    const fields = { name: row.name, description: row.description, point_cap: row.point_cap, faction_rule: row.faction_rule, visibility: row.visibility || "private" };
+    let id = row.deck_id;
+    if (id) await deckStore.update(token, id, fields);
+    else id = (await deckStore.insert(token, { ...fields, user_id: session.user.id })).id;
+    await deckStore.replaceUnits(token, id, row.deck);
+    snapshotStore.move(row.local_id, id);
+    if (row.local_id === localDeckId) { setLocalDeckId(null); setDeckId(id); }
+    return id;
+  }
+
+  async function syncLocalDecks() {
+    const { pushed, failed } = await localDecks.sync(session.user.id, pushLocalDeck);
+    refreshLocalList();
+    if (pushed) { setOk(`Synced ${pushed} deck${pushed===1?"":"s"} from this device`); loadLibrary(); }
+    if (failed) setError(`Sync stopped: ${formatError(failed)}`);
+  }
+
+  function openLocalDeck(row) {
+    loadDeck(row.deck || {});
+    if (row.point_cap) setPointCap(row.point_cap);
+    if (row.faction_rule) setFactionRule(row.faction_rule);
+    setDeckName(row.name || "");
+    setVisibility(row.visibility || "private");
+    setDeckId(row.deck_id || null);
+    setLocalDeckId(row.local_id);
+    setError(""); setOk(`Loaded "${row.name}" from this device`);
+  }
+
+  function deleteLocalDeck(row) {
+    if (!window.confirm(`Delete "${row.name}" from this device?`)) return;
+    localDecks.remove(session?.user?.id, row.local_id);
+    if (row.local_id === localDeckId) setLocalDeckId(null);
+    refreshLocalList();
+  }
+
+  async function loadLibrary() {
+    if (!session) return;
+    setLibraryLoading(true);
+    try {
+      setLibrary(await deckStore.list(session.access_token, session.user.id));
+    } catch (e) { setError(formatError(e)); }
+    finally { setLibraryLoading(false); }
   }
-  function clearDeck() { setDeck({}); }
 
-  async function saveDeck() {
+  function deckRow() {
+    return {
+      name: deckName,
+      description: `${factionOfDeck} deck — ${deckPoints}/${pointCap} pts`,
+      point_cap: pointCap,
+      faction_rule: factionRule,
+      visibility,
+    };
+  }
+
+  // asNew: insert a fresh deck even when editing a saved one ("Save as new")
+  async function saveDeck(asNew = false) {
     try {
       setSaving(true); setError(""); setOk("");
-      if (!session) throw new Error("Sign in first (magic link)");
-      if (deckPoints > pointCap) throw new Error("Deck exceeds point cap");
-      if (factionRule === "axis_only" && factionOfDeck !== "Axis") throw new Error("Deck violates Axis-only rule");
-      if (factionRule === "allies_only" && factionOfDeck !== "Allies") throw new Error("Deck violates Allies-only rule");
+      if (violations.length) throw new Error(`Deck is not legal for ${format.name}: ${violations[0].message}${violations.length > 1 ? ` (+${violations.length - 1} more)` : ""}`);
+      if (!session || !online || !SUPABASE_CONFIGURED) {
+        saveLocalDeck(asNew);
+        setOk(session ? "Offline — deck saved on this device, it will sync when you're back online" : "Deck saved on this device — sign in to sync it");
+        return;
+      }
 
-      const deckRes = await fetch(`${SUPABASE_URL}/rest/v1/decks`, {
-        method: "POST",
-        headers: {
-          apikey: SUPABASE_ANON_KEY,
-          Authorization: `Bearer ${session.access_token}`,
-          "Content-Type": "application/json",
-          Prefer: "return=representation",
-        },
-        body: JSON.stringify({
-          user_id: session.user.id,
-          name: deckName,
-          description: `${factionOfDeck} deck — ${deckPoints}/${pointCap} pts`,
-          point_cap: pointCap,
-          faction_rule: factionRule,
-          visibility: "private",
-        }),
-      });
-      if (!deckRes.ok) throw new Error(await deckRes.text());
-      const [deckRow] = await deckRes.json();
-
-      const payload = Object.entries(deck).map(([unit_id, count]) => ({ deck_id: deckRow.id, unit_id, count }));
-      if (payload.length) {
-        const du = await fetch(`${SUPABASE_URL}/rest/v1/deck_units`, {
-          method: "POST",
-          headers: {
-            apikey: SUPABASE_ANON_KEY,
-            Authorization: `Bearer ${session.access_token}`,
-            "Content-Type": "application/json",
-            Prefer: "resolution=merge-duplicates",
-          },
-          body: JSON.stringify(payload),
-        });
-        if (!du.ok) throw new Error(await du.text());
+      const token = session.access_token;
+      let id = asNew ? null : deckId;
+      if (id) {
+        await deckStore.update(token, id, deckRow());
+      } else {
+        const row = await deckStore.insert(token, { ...deckRow(), user_id: session.user.id });
+        id = row.id;
       }
+      await deckStore.replaceUnits(token, id, deck);
+      if (!asNew) snapshotStore.move(snapshotKey, id);
+      setDeckId(id);
+      if (localDeckId && !asNew) { localDecks.remove(session.user.id, localDeckId); setLocalDeckId(null); refreshLocalList(); }
 
-      setOk("Deck saved");
-    } catch (e) { setError(formatError(e)); }
+      setOk(id === deckId ? "Deck updated" : "Deck saved");
+      loadLibrary();
+    } catch (e) {
+      if (isNetworkError(e)) {
+        saveLocalDeck(asNew);
+        setOk("Offline — deck saved on this device, it will sync when you're back online");
+      } else {
+        setError(formatError(e));
+      }
+    }
     finally { setSaving(false); }
   }
 
-  // basic recommend: greedily add best effective damage per point under constraints
-  function recommend() {
-    let pool = filtered.slice();
-    const scored = pool.map(u => {
-      const st = u.stats || {}; const eff = [0,1,2,3].map(r => Number(st[`effective_gunnerytotal_${r}`]||0));
-      const score = (eff[0]+eff[1]+eff[2]+eff[3]) / Math.max(1, u.points||1);
-      return { u, score };
-    }).sort((a,b)=>b.score-a.score);
-
-    const next = {}; let pts = 0;
-    for (const {u} of scored) {
-      const limit = ownership[u.id]?.copies ?? 99;
-      while (pts + (u.points||0) <= pointCap) {
-        const cur = next[u.id]||0; if (cur >= limit) break;
-        next[u.id] = cur+1; pts += (u.points||0);
-        if (pointCap-pts < 3) break;
-      }
-      if (pts >= pointCap-1) break;
+  function openDeck(row) {
+    loadDeck(deckFromRows(row.deck_units));
+    if (row.point_cap) setPointCap(row.point_cap);
+    if (row.faction_rule) setFactionRule(row.faction_rule);
+    setDeckName(row.name || "");
+    setVisibility(row.visibility || "private");
+    setDeckId(row.id);
+    setLocalDeckId(null);
+    setError(""); setOk(`Loaded "${row.name}"`);
+  }
+
+  function newDeck() {
+    loadDeck({});
+    setDeckId(null);
+    setLocalDeckId(null);
+    setDeckName("New deck");
+    setVisibility("private");
+    setError(""); setOk("");
+  }
+
+  function importDeckCode(text) {
+    setError(""); setOk("");
+    try {
+      const decoded = decodeDeckCode(text);
+      const cap = decoded.pointCap || pointCap;
+      const report = validateImportedDeck(decoded, units, ownership, cap);
+      loadDeck(report.deck);
+      setPointCap(cap);
+      if (decoded.factionRule) setFactionRule(decoded.factionRule);
+      setDeckId(null); setLocalDeckId(null);
+      setDeckName("Imported deck");
+      setImportReport(report);
+      setImportText("");
+      const clean = !report.unknown.length && !report.overCopies.length && !report.overCap;
+      if (clean) setOk("Deck imported");
+    } catch (e) {
+      setImportReport(null);
+      setError(formatError(e));
     }
-    setDeck(next);
   }
 
+  // Gallery "clone into my builder": a new, private copy; with Owned-only on, counts are
+  // capped at the copies you own (unowned units are dropped)
+  function cloneDeck(row) {
+    setError(""); setOk("");
+    const source = deckFromRows(row.deck_units);
+    const caps = ownedOnly && session
+      ? Object.fromEntries(Object.keys(source).map(id => [id, { copies: Math.max(ownership[id]?.copies || 0, ownership[id]?.owned ? 1 : 0) }]))
+      : {};
+    const cap = row.point_cap || pointCap;
+    const report = validateImportedDeck({ deck: source }, units, caps, cap);
+    loadDeck(report.deck);
+    setPointCap(cap);
+    if (row.faction_rule) setFactionRule(row.faction_rule);
+    setDeckId(null); setLocalDeckId(null);
+    setDeckName(`${row.name} (clone)`);
+    setVisibility("private");
+    setImportReport(report);
+    setView("builder");
+    const clean = !report.unknown.length && !report.overCopies.length && !report.overCap;
+    setOk(clean ? `Cloned "${row.name}"` : `Cloned "${row.name}" — see the import report for what changed`);
+  }
+
+  // -------- tournament rosters --------
+
+  function startRoster() {
+    const name = window.prompt("Roster name", "Tournament roster");
+    if (!name?.trim()) return;
+    const first = newRosterDeck(deckName || "Deck 1", deck);
+    setRoster({ name: name.trim(), decks: [first], activeKey: first.key });
+    setDeckId(null); setLocalDeckId(null);
+  }
+
+  // Park the deck being edited in the roster and load another one
+  function switchRosterDeck(key, decks = rosterDecks) {
+    const target = decks.find(d => d.key === key);
+    if (!target) return;
+    setRoster(r => ({ ...r, decks, activeKey: key }));
+    loadDeck(target.deck);
+    setDeckName(target.name);
+    setDeckId(null); setLocalDeckId(null);
+  }
+
+  function addRosterDeck() {
+    const name = window.prompt("Deck name", `Deck ${rosterDecks.length + 1}`);
+    if (!name?.trim()) return;
+    const added = newRosterDeck(name.trim());
+    switchRosterDeck(added.key, [...rosterDecks, added]);
+  }
+
+  function removeRosterDeck(key) {
+    if (rosterDecks.length <= 1) return;
+    const d = rosterDecks.find(x => x.key === key);
+    if (!window.confirm(`Remove "${d.name}" from the roster?`)) return;
+    const remaining = rosterDecks.filter(x => x.key !== key);
+    if (key === roster.activeKey) switchRosterDeck(remaining[0].key, remaining);
+    else setRoster(r => ({ ...r, decks: remaining }));
+  }
+
+  async function saveRoster() {
+    setError(""); setOk("");
+    if (rosterInfo.shortfalls.length) {
+      setError(`Roster needs more copies than you own: ${rosterInfo.shortfalls.map(x => `${x.unit?.name || x.unit_id} ${x.used}/${x.owned}`).join(", ")}`);
+      return;
+    }
+    try {
+      await rosterStore.save(session, {
+        name: roster.name,
+        decks: rosterDecks.map(({ name, deck: d }) => ({ name, deck: d })),
+        point_cap: pointCap,
+        faction_rule: factionRule,
+        format_id: formatId,
+        updated_at: new Date().toISOString(),
+      });
+      setSavedRosters(await rosterStore.list(session));
+      setOk(`Roster "${roster.name}" saved${rosterInfo.summary.legal ? "" : " — some decks are not legal yet"}`);
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  function openRoster(row) {
+    const decks = (row.decks || []).map(d => newRosterDeck(d.name, d.deck || {}));
+    if (!decks.length) return;
+    setRoster({ name: row.name, decks, activeKey: decks[0].key });
+    loadDeck(decks[0].deck);
+    setDeckName(decks[0].name);
+    if (row.format_id) setFormatId(findFormat(row.format_id).id);
+    if (row.point_cap) setPointCap(row.point_cap);
+    if (row.faction_rule) setFactionRule(row.faction_rule);
+    setDeckId(null); setLocalDeckId(null);
+    setError(""); setOk(`Loaded roster "${row.name}"`);
+  }
+
+  async function deleteRoster(row) {
+    if (!window.confirm(`Delete roster "${row.name}"?`)) return;
+    setError(""); setOk("");
+    try {
+      await rosterStore.remove(session, row.name);
+      setSavedRosters(await rosterStore.list(session));
+      if (roster?.name === row.name) setRoster(null);
+      setOk(`Roster "${row.name}" deleted`);
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  function rosterText() {
+    return fleetToText({ deckName, factionOfDeck, pointCap, deckItems, deckPoints, effectiveSumByRange });
+  }
+
+  function fileBase() {
+    return (deckName || "deck").trim().replace(/[^\w-]+/g, "_");
+  }
+
+  function importFleetText(text) {
+    setError(""); setOk("");
+    const { deck: parsed, matched, unmatched } = importFleetList(text, units);
+    if (matched.length === 0) { setListReport(null); setError("No units in that list matched the catalog"); return; }
+    const checked = validateImportedDeck({ deck: parsed }, units, ownership, pointCap);
+    loadDeck(checked.deck);
+    setDeckId(null); setLocalDeckId(null);
+    setDeckName("Imported list");
+    setListReport({ matched, unmatched, overCopies: checked.overCopies, overCap: checked.overCap, points: checked.points });
+    setListText("");
+    setOk(`Imported ${matched.length} line${matched.length===1?"":"s"}`);
+  }
+
+  async function copyToClipboard(text, label) {
+    try {
+      await navigator.clipboard.writeText(text);
+      setOk(`${label} copied`);
+    } catch {
+      window.prompt(`Copy the ${label.toLowerCase()}:`, text);
+    }
+  }
+
+  async function renameSavedDeck(row) {
+    const name = window.prompt("Rename deck", row.name);
+    if (!name || name === row.name) return;
+    try {
+      await deckStore.update(session.access_token, row.id, { name });
+      if (row.id === deckId) setDeckName(name);
+      loadLibrary();
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  async function duplicateSavedDeck(row) {
+    try {
+      const token = session.access_token;
+      const copy = await deckStore.insert(token, {
+        user_id: session.user.id,
+        name: `${row.name} (copy)`,
+        description: row.description,
+        point_cap: row.point_cap,
+        faction_rule: row.faction_rule,
+        visibility: "private",
+      });
+      await deckStore.replaceUnits(token, copy.id, deckFromRows(row.deck_units));
+      setOk(`Duplicated "${row.name}"`);
+      loadLibrary();
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  async function deleteSavedDeck(row) {
+    if (!window.confirm(`Delete "${row.name}"? This cannot be undone.`)) return;
+    try {
+      await deckStore.remove(session.access_token, row.id);
+      if (row.id === deckId) setDeckId(null);
+      setOk(`Deleted "${row.name}"`);
+      loadLibrary();
+    } catch (e) { setError(formatError(e)); }
+  }
+
+  // Recommend: search for the best legal fleets (optionally keeping the current units) and load the top one
+  function recommend() {
+    setOptimizing(true); setError(""); setOk("");
+    // let the button show "Optimizing…" before the search blocks the thread
+    setTimeout(() => {
+      try {
+        const results = recommendFleets({
+          pool: filtered,
+          units,
+          deck,
+          completeDeck,
+          context: legality,
+          valueOf,
+          balance,
+          copiesOf: maxCopiesOf,
+          pointCap,
+        });
+        setRecs(results);
+        if (results.length && results[0].items.length) {
+          editDeck(results[0].deck);
+        } else {
+          setError("No legal fleet found with these filters and rules");
+        }
+      } catch (e) { setError(formatError(e)); }
+      finally { setOptimizing(false); }
+    }, 0);
+  }
+
+  // the builder prints as the fleet sheet, whether or not the preview is open
+  const printSheet = view === "builder";
+
   return (
-    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+    <>
+    <div className={classNames("min-h-screen bg-neutral-950 text-neutral-100 p-6", printSheet && "print:hidden")}>
       <header className="flex flex-wrap items-center justify-between gap-3">
-        <h1 className="text-2xl font-bold">War at Sea — Deckbuilder v1</h1>
+        <div className="flex items-center gap-4">
+          <h1 className="text-2xl font-bold">War at Sea — Deckbuilder v1</h1>
+          <nav className="flex gap-1 text-sm">
+            <button onClick={()=>setView("builder")} className={classNames("px-3 py-1 rounded-full border", view==="builder"?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800")}>Builder</button>
+            <button onClick={()=>setView("homebrew")} className={classNames("px-3 py-1 rounded-full border", view==="homebrew"?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800")}>Homebrew</button>
+            <button onClick={()=>setView("gallery")} disabled={!SUPABASE_CONFIGURED} className={classNames("px-3 py-1 rounded-full border", view==="gallery"?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800", !SUPABASE_CONFIGURED && "opacity-40")}>Gallery</button>
+            <button onClick={()=>setView("collection")} disabled={!session} title={session?undefined:"Sign in to manage your collection"} className={classNames("px-3 py-1 rounded-full border", view==="collection"?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800", !session && "opacity-40")}>Collection</button>
+          </nav>
+        </div>
         <div className="flex items-center gap-2">
-          {!session ? (
+          {(!online || !SUPABASE_CONFIGURED) && (
+            <span className="text-xs px-2 py-1 rounded-full bg-amber-900 text-amber-200">{SUPABASE_CONFIGURED ? "Offline" : "Local only (Supabase not configured)"}</span>
+          )}
+          {!SUPABASE_CONFIGURED ? null : !session ? (
             <form className="flex gap-2" onSubmit={onMagicSubmit}>
               <input className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700" placeholder="email for magic link" value={email} onChange={e=>setEmail(e.target.value)} />
               <button disabled={!email || cooldownLeft>0} className={classNames("px-3 py-2 rounded", cooldownLeft>0?"bg-neutral-800 border border-neutral-700 opacity-60":"bg-blue-600 hover:bg-blue-500")}>{cooldownLeft>0?`Wait ${cooldownLeft}s`:"Sign in"}</button>
             </form>
           ) : (
-            <div className="text-sm opacity-80">signed in as <span className="font-mono">{session.user.email}</span></div>
+            <div className="flex items-center gap-2 text-sm">
+              <span className="opacity-80">signed in as <span className="font-mono">{session.user?.email}</span></span>
+              <button onClick={signOut} className="px-3 py-1 rounded bg-neutral-800 border border-neutral-700">Sign out</button>
+            </div>
           )}
         </div>
       </header>
 
+      {view === "gallery" && SUPABASE_CONFIGURED ? (
+        <DeckGallery units={units} pointCaps={POINT_CAPS} online={online} onClone={cloneDeck}
+          fetchPage={q => galleryStore.list(q).catch(e => { throw new Error(formatError(e)); })} />
+      ) : view === "homebrew" ? (
+        <CustomUnitsView rows={customRows} units={units} onSave={saveCustomUnit} onDelete={deleteCustomUnit} saving={savingCustom} />
+      ) : view === "collection" && session ? (
+        <CollectionView units={sharedUnits} ownership={ownership} onSave={saveOwnership} saving={savingOwnership} />
+      ) : (
       <section className="mt-4 grid grid-cols-1 lg:grid-cols-4 gap-4">
         <div className="lg:col-span-1 space-y-3">
           <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
             <div className="font-semibold">Rules</div>
+            <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={formatId} onChange={e=>chooseFormat(e.target.value)}>
+              {FORMATS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+            </select>
             <div className="flex flex-wrap gap-2">
               {POINT_CAPS.map(c => (
-                <button key={c} onClick={()=>setPointCap(c)} className={classNames("px-3 py-1 rounded-full border", pointCap===c?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800")}>{c}</button>
+                <button key={c} disabled={!!format.pointCap} onClick={()=>setPointCap(c)} className={classNames("px-3 py-1 rounded-full border", pointCap===c?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800", format.pointCap && pointCap!==c && "opacity-40")}>{c}</button>
               ))}
             </div>
             <div className="flex gap-2">
-              <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={factionRule} onChange={e=>setFactionRule(e.target.value)}>
+              <select disabled={!!format.factionRule} className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1 disabled:opacity-60" value={factionRule} onChange={e=>setFactionRule(e.target.value)}>
                 <option value="axis_only">Axis-only</option>
                 <option value="allies_only">Allies-only</option>
                 <option value="mixed">Mixed</option>
@@ -414,67 +1032,324 @@ export default function App() {
               <input type="checkbox" checked={ownedOnly} onChange={e=>setOwnedOnly(e.target.checked)} disabled={!session} />
               Owned only (login required)
             </label>
+            {usesSelectedSets(format) && (
+              <div className="space-y-1">
+                <div className="text-xs opacity-70">Allowed sets</div>
+                <div className="max-h-40 overflow-auto space-y-1">
+                  {sets.map(name => (
+                    <label key={name} className="flex items-center gap-2 text-sm">
+                      <input type="checkbox" checked={selectedSets.includes(name)} onChange={()=>toggleSet(name)} />
+                      {name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
             <div className="font-semibold">Filters</div>
-            <input className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700" placeholder="search name or ability" value={q} onChange={e=>setQ(e.target.value)} />
-            <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-2" value={nation} onChange={e=>setNation(e.target.value)}>
-              {nations.map(n => <option key={n} value={n}>{n}</option>)}
-            </select>
-            <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-2" value={type} onChange={e=>setType(e.target.value)}>
-              {types.map(t => <option key={t} value={t}>{t}</option>)}
-            </select>
+            <input className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700" placeholder="search, e.g. nation:japan has:torpedo points<=20" value={filters.query} onChange={e=>setFilter("query", e.target.value)} />
+            <details className="text-xs opacity-70">
+              <summary className="cursor-pointer">Query syntax</summary>
+              <div className="mt-1 space-y-0.5 font-mono">
+                <div>nation:japan,italy · type:destroyer</div>
+                <div>set:"base set" · rarity:rare · has:torpedo</div>
+                <div>points&lt;=20 · year:1939..1941</div>
+                <div>eff2&gt;=3 · effective_gunnerytotal_1&gt;2</div>
+                <div>-has:submarine (minus negates)</div>
+              </div>
+            </details>
+            <MultiSelect label="Nations" options={nations} value={filters.nations} onChange={v=>setFilter("nations", v)} />
+            <MultiSelect label="Types" options={types} value={filters.types} onChange={v=>setFilter("types", v)} />
+            <MultiSelect label="Sets" options={sets} value={filters.sets} onChange={v=>setFilter("sets", v)} />
+            <MultiSelect label="Rarity" options={rarities} value={filters.rarities} onChange={v=>setFilter("rarities", v)} />
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <input type="number" className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" placeholder="pts min" value={filters.pointsMin} onChange={e=>setFilter("pointsMin", e.target.value)} />
+              <input type="number" className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" placeholder="pts max" value={filters.pointsMax} onChange={e=>setFilter("pointsMax", e.target.value)} />
+              <input type="number" className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" placeholder="year from" value={filters.yearMin} onChange={e=>setFilter("yearMin", e.target.value)} />
+              <input type="number" className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" placeholder="year to" value={filters.yearMax} onChange={e=>setFilter("yearMax", e.target.value)} />
+            </div>
+            <div className="flex gap-2 text-sm">
+              <select className="flex-1 min-w-0 bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value="" onChange={e=>{ const p = presets.find(x => x.name === e.target.value); if (p) setFilters({ ...EMPTY_FILTERS, ...p.filters }); }}>
+                <option value="">{presets.length ? "Load preset…" : "No presets yet"}</option>
+                {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+              </select>
+              <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={savePreset}>Save</button>
+              {presets.length > 0 && (
+                <select className="w-20 bg-neutral-800 border border-neutral-700 rounded px-1 py-1" value="" onChange={e=>e.target.value && deletePreset(e.target.value)}>
+                  <option value="">Delete…</option>
+                  {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                </select>
+              )}
+            </div>
             <div className="flex gap-2">
-              <button className="flex-1 px-3 py-2 rounded bg-neutral-800 border border-neutral-700" onClick={()=>{setQ("");setNation("All");setType("All");}}>Reset</button>
-              <button className="flex-1 px-3 py-2 rounded bg-emerald-600 hover:bg-emerald-500" onClick={recommend}>Recommend</button>
+              <button className="flex-1 px-3 py-2 rounded bg-neutral-800 border border-neutral-700" onClick={()=>setFilters(EMPTY_FILTERS)}>Reset{activeFilterCount(filters) ? ` (${activeFilterCount(filters)})` : ""}</button>
+              <button disabled={optimizing} className="flex-1 px-3 py-2 rounded bg-emerald-600 hover:bg-emerald-500" onClick={recommend}>{optimizing?"Optimizing…":"Recommend"}</button>
             </div>
             {cooldownLeft>0 && (
               <div className="text-xs opacity-70">You can request a new magic link in {cooldownLeft}s.</div>
             )}
           </div>
+
+          <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+            <div className="font-semibold">Recommend</div>
+            <select className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={objectiveId} onChange={e=>setObjectiveId(e.target.value)}>
+              {OBJECTIVES.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select>
+            {objectiveId === "damage" && (
+              <div className="grid grid-cols-4 gap-1 text-xs">
+                {rangeWeights.map((w, r) => (
+                  <label key={r} className="flex flex-col gap-0.5">
+                    <span className="opacity-70">Range {r}</span>
+                    <input type="number" min={0} step={0.5} className="w-full px-1 py-0.5 rounded bg-neutral-800 border border-neutral-700" value={w} onChange={e=>setRangeWeights(rangeWeights.map((x, i) => i===r ? Math.max(0, Number(e.target.value)||0) : x))} />
+                  </label>
+                ))}
+              </div>
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              <span className="opacity-70 w-24">Type balance</span>
+              <input type="range" min={0} max={0.9} step={0.1} value={balance} onChange={e=>setBalance(Number(e.target.value))} className="flex-1" />
+              <span className="w-8 text-right text-xs">{balance.toFixed(1)}</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={completeDeck} onChange={e=>setCompleteDeck(e.target.checked)} />
+              Complete current deck (keep its units)
+            </label>
+            {recs.length > 0 && (
+              <div className="divide-y divide-neutral-800 text-xs">
+                {recs.map((r, i) => (
+                  <div key={i} className="py-1.5 flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <div>#{i+1} · score {r.score.toFixed(2)} · {r.points} pts</div>
+                      <div className="opacity-60 truncate">{r.items.map(x => `${x.count}× ${x.unit.name}`).join(", ")}</div>
+                    </div>
+                    <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>editDeck(r.deck)}>Use</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+            <div className="font-semibold">Share & Import</div>
+            <input readOnly className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" value={shareCode} onFocus={e=>e.target.select()} />
+            <div className="flex gap-2">
+              <button className="flex-1 px-3 py-2 rounded bg-neutral-800 border border-neutral-700" onClick={()=>copyToClipboard(shareCode, "Deck code")}>Copy code</button>
+              <button className="flex-1 px-3 py-2 rounded bg-neutral-800 border border-neutral-700" onClick={()=>copyToClipboard(deckShareUrl(shareCode), "Share link")}>Copy link</button>
+            </div>
+            <textarea className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" rows={2} placeholder="paste a deck code or share link" value={importText} onChange={e=>setImportText(e.target.value)} />
+            <button disabled={!importText.trim() || units.length===0} className={classNames("w-full px-3 py-2 rounded", !importText.trim()||units.length===0?"bg-neutral-800 border border-neutral-700 opacity-60":"bg-blue-600 hover:bg-blue-500")} onClick={()=>importDeckCode(importText)}>Import</button>
+            {importReport && (importReport.unknown.length>0 || importReport.overCopies.length>0 || importReport.overCap) && (
+              <div className="text-xs space-y-1 text-amber-300">
+                {importReport.unknown.length>0 && (
+                  <div>Unknown units (not loaded): {importReport.unknown.map(x => `${x.id} ×${x.count}`).join(", ")}</div>
+                )}
+                {importReport.overCopies.map(x => (
+                  <div key={x.unit.id}>{x.unit.name}: asked for {x.requested}, you own {x.allowed} — loaded {x.allowed}</div>
+                ))}
+                {importReport.overCap && <div>Over the point cap: {importReport.points} / {pointCap}</div>}
+                <button className="underline opacity-80" onClick={()=>setImportReport(null)}>dismiss</button>
+              </div>
+            )}
+          </div>
+
+          <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+            <div className="font-semibold">Text / CSV</div>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={()=>copyToClipboard(rosterText(), "Roster")}>Copy text</button>
+              <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={()=>downloadText(`${fileBase()}.txt`, rosterText())}>.txt</button>
+              <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={()=>downloadText(`${fileBase()}.csv`, fleetToCsv(deckItems), "text/csv")}>.csv</button>
+              <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" disabled={!deckItems.length} onClick={()=>setSheetOpen(true)}>Print sheet</button>
+            </div>
+            <textarea className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" rows={4} placeholder={"paste a list, e.g.\n2x Bismarck\nU-47 ×3\nor CSV with name,count"} value={listText} onChange={e=>setListText(e.target.value)} />
+            <button disabled={!listText.trim() || units.length===0} className={classNames("w-full px-3 py-2 rounded", !listText.trim()||units.length===0?"bg-neutral-800 border border-neutral-700 opacity-60":"bg-blue-600 hover:bg-blue-500")} onClick={()=>importFleetText(listText)}>Import list</button>
+            {listReport && (
+              <div className="text-xs space-y-1">
+                {listReport.matched.filter(x => x.score < 1).map((x, i) => (
+                  <div key={`f${i}`} className="opacity-80">"{x.name}" → {x.unit.name} ({Math.round(x.score*100)}%)</div>
+                ))}
+                {listReport.unmatched.map((x, i) => (
+                  <div key={`u${i}`} className="text-amber-300">Not found: {x.line}</div>
+                ))}
+                {listReport.overCopies.map(x => (
+                  <div key={x.unit.id} className="text-amber-300">{x.unit.name}: asked for {x.requested}, you own {x.allowed} — loaded {x.allowed}</div>
+                ))}
+                {listReport.overCap && <div className="text-amber-300">Over the point cap: {listReport.points} / {pointCap}</div>}
+                <button className="underline opacity-80" onClick={()=>setListReport(null)}>dismiss</button>
+              </div>
+            )}
+          </div>
+
+          {(session || localList.length > 0) && (
+            <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="font-semibold">My Decks</div>
+                <div className="flex gap-2 text-sm">
+                  <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={newDeck}>New</button>
+                  {session && <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={loadLibrary} disabled={libraryLoading || !online}>{libraryLoading?"…":"Refresh"}</button>}
+                </div>
+              </div>
+              {localList.length > 0 && (
+                <div className="space-y-1">
+                  <div className="flex items-center justify-between text-xs">
+                    <span className="opacity-70">On this device — not synced ({localList.length})</span>
+                    {session && online && <button className="underline" onClick={syncLocalDecks}>Sync now</button>}
+                  </div>
+                  <div className="divide-y divide-neutral-800">
+                    {localList.map(row => (
+                      <div key={row.local_id} className={classNames("py-2", row.local_id===localDeckId && "text-emerald-400")}>
+                        <div className="font-medium truncate">{row.name} <span className="text-xs px-1 rounded bg-amber-900 text-amber-200">local</span></div>
+                        <div className="text-xs opacity-70">{row.point_cap} pts · {row.faction_rule} · {Object.values(row.deck||{}).reduce((acc, n) => acc + n, 0)} units</div>
+                        <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                          <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>openLocalDeck(row)}>Open</button>
+                          <button className="px-2 py-0.5 rounded bg-neutral-800 border border-red-900 text-red-400" onClick={()=>deleteLocalDeck(row)}>Delete</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {session && (
+              <div className="max-h-[320px] overflow-auto divide-y divide-neutral-800">
+                {library.length===0 && <div className="opacity-60 text-sm">{libraryLoading?"Loading…":"No saved decks yet."}</div>}
+                {library.map(row => {
+                  const count = (row.deck_units||[]).reduce((acc, r) => acc + (r.count||0), 0);
+                  return (
+                    <div key={row.id} className={classNames("py-2", row.id===deckId && "text-emerald-400")}>
+                      <div className="font-medium truncate">{row.name} {row.visibility && row.visibility !== "private" && <span className="text-xs px-1 rounded bg-sky-900 text-sky-200">{row.visibility}</span>}</div>
+                      <div className="text-xs opacity-70">{row.point_cap} pts · {row.faction_rule} · {count} units</div>
+                      <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                        <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>openDeck(row)}>Open</button>
+                        <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>renameSavedDeck(row)}>Rename</button>
+                        <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>duplicateSavedDeck(row)}>Duplicate</button>
+                        <button className="px-2 py-0.5 rounded bg-neutral-800 border border-red-900 text-red-400" onClick={()=>deleteSavedDeck(row)}>Delete</button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              )}
+            </div>
+          )}
+
+          <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="font-semibold">{roster ? `Roster: ${roster.name}` : "Tournament roster"}</div>
+              {roster
+                ? <button className="text-xs underline opacity-70" onClick={()=>setRoster(null)} title="Keep editing the current deck on its own">leave</button>
+                : <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-sm" onClick={startRoster}>Start</button>}
+            </div>
+            {!roster && <div className="text-xs opacity-60">Build several decks from one collection: copies used in any deck count against what you own.</div>}
+            {roster && rosterInfo && (
+              <>
+                <div className="divide-y divide-neutral-800">
+                  {rosterInfo.summary.decks.map(d => (
+                    <div key={d.key} className={classNames("py-2 flex items-center justify-between gap-2", d.key===roster.activeKey && "text-emerald-400")}>
+                      <button className="min-w-0 text-left" onClick={()=>d.key!==roster.activeKey && switchRosterDeck(d.key)}>
+                        <div className="font-medium truncate">{d.name}</div>
+                        <div className="text-xs opacity-70">{d.points} / {pointCap} pts · {d.copies} units · {d.violations.length ? <span className="text-red-400">{d.violations.length} issue{d.violations.length===1?"":"s"}</span> : <span className="text-emerald-400">legal</span>}</div>
+                      </button>
+                      {rosterDecks.length > 1 && <button className="text-xs px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>removeRosterDeck(d.key)} aria-label={`Remove ${d.name}`}>✕</button>}
+                    </div>
+                  ))}
+                </div>
+                <div className="text-xs opacity-80">
+                  {rosterInfo.summary.decks.length} decks · {rosterInfo.summary.points} pts · {rosterInfo.summary.copies} units ({rosterInfo.summary.distinct} distinct)
+                  {rosterInfo.summary.legal ? <span className="text-emerald-400"> · all legal for {format.name}</span> : <span className="text-red-400"> · not all legal</span>}
+                </div>
+                {rosterInfo.shortfalls.length > 0 && (
+                  <div className="text-xs text-red-400 space-y-0.5">
+                    {rosterInfo.shortfalls.map(x => <div key={x.unit_id}>⚠ {x.unit?.name || x.unit_id}: {x.used} used across decks, {x.owned} owned</div>)}
+                  </div>
+                )}
+                <div className="flex gap-2 text-sm">
+                  <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={addRosterDeck}>Add deck</button>
+                  <button className="px-2 py-1 rounded bg-emerald-600 hover:bg-emerald-500" onClick={saveRoster}>Save roster</button>
+                </div>
+              </>
+            )}
+            {savedRosters.length > 0 && (
+              <div className="space-y-1">
+                <div className="text-xs opacity-70">Saved rosters</div>
+                {savedRosters.map(row => (
+                  <div key={row.name} className="flex items-center justify-between gap-2 text-xs">
+                    <div className="min-w-0 truncate">{row.name} <span className="opacity-60">· {(row.decks||[]).length} decks</span></div>
+                    <div className="flex gap-1 shrink-0">
+                      <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>openRoster(row)}>Open</button>
+                      <button className="px-2 py-0.5 rounded bg-neutral-800 border border-red-900 text-red-400" onClick={()=>deleteRoster(row)}>Delete</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
 
         <div className="lg:col-span-3 grid grid-cols-1 xl:grid-cols-2 gap-4">
           <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800">
             <div className="flex items-center justify-between mb-2">
               <div className="font-semibold">Available Units ({filtered.length})</div>
+              {unmappedCount > 0 && (
+                <div className="text-xs text-amber-300" title="Add these nations to nation_factions; they fail Axis-only and Allies-only">{unmappedCount} unit{unmappedCount===1?"":"s"} with an unmapped nation</div>
+              )}
             </div>
-            <div className="h-[520px] overflow-auto divide-y divide-neutral-800">
-              {filtered.map(u => {
-                const maxCopies = ownership[u.id]?.copies ?? 99;
+            <div className="flex flex-wrap gap-1 mb-2 text-xs">
+              <span className="opacity-60 py-0.5">Sort:</span>
+              {SORTS.map(srt => (
+                <button key={srt.id} onClick={()=>toggleSort(srt.id)} className={classNames("px-2 py-0.5 rounded-full border", sortId===srt.id?"bg-white text-black border-white":"border-neutral-700 bg-neutral-800")}>
+                  {srt.label}{sortId===srt.id ? (sortDir==="asc" ? " ↑" : " ↓") : ""}
+                </button>
+              ))}
+            </div>
+            <VirtualList className="h-[520px]" items={filtered} rowHeight={UNIT_ROW_HEIGHT} getKey={u => u.id}
+              renderRow={u => {
+                const maxCopies = maxCopiesOf(u);
                 const inDeck = deck[u.id] || 0;
-                const disabled = (inDeck >= maxCopies) || (deckPoints + (u.points||0) > pointCap) || (factionRule!=="mixed" && deckItems.length>0 && factionOfDeck!==(factionRule==="axis_only"?"Axis":"Allies"));
+                const legal = canAdd(rules, deckItems, u, ruleEnv);
+                const disabled = (inDeck >= maxCopies) || !legal.ok;
                 return (
-                  <div key={u.id} className="py-3 flex items-start gap-3">
+                  <div className="h-full py-2 flex items-start gap-3 border-b border-neutral-800 overflow-hidden">
                     <div className="min-w-0 flex-1">
-                      <div className="font-medium">{u.name} <span className="opacity-60 text-sm">({u.nation} · {u.type})</span></div>
-                      <div className="text-xs opacity-70">Pts {u.points} · Abilities: {u.abilities || '—'}</div>
+                      <div className="font-medium truncate"><button className="hover:underline text-left" onClick={()=>setDetailId(u.id)}>{u.name}</button> <span className="opacity-60 text-sm">({u.nation} · {u.type})</span>{u.custom && <span className="ml-1 text-xs px-1 rounded bg-fuchsia-900 text-fuchsia-200">custom</span>}{!factions.isMapped(u.nation) && <span className="ml-1 text-xs px-1 rounded bg-amber-900 text-amber-200">unmapped nation</span>}</div>
+                      <div className="text-xs opacity-70 truncate" title={u.abilities || undefined}>Pts {u.points} · Abilities: {u.abilities || '—'}</div>
                       <div className="text-xs opacity-70">Eff(0–3): {[0,1,2,3].map(r=>Number(u.stats?.[`effective_gunnerytotal_${r}`]||0).toFixed(2)).join(" / ")}</div>
                     </div>
                     <div className="flex items-center gap-2">
-                      <button disabled={disabled} onClick={()=>addToDeck(u)} className={classNames("px-2 py-1 rounded border", disabled?"opacity-40 cursor-not-allowed border-neutral-800":"bg-neutral-800 border-neutral-700")}>+ Add</button>
+                      <button disabled={disabled} title={legal.ok ? undefined : legal.reason} onClick={()=>addToDeck(u)} className={classNames("px-2 py-1 rounded border", disabled?"opacity-40 cursor-not-allowed border-neutral-800":"bg-neutral-800 border-neutral-700")}>+ Add</button>
                       <div className="text-sm w-8 text-center">{inDeck}</div>
                       <button disabled={!inDeck} onClick={()=>removeFromDeck(u)} className={classNames("px-2 py-1 rounded border", !inDeck?"opacity-40 cursor-not-allowed border-neutral-800":"bg-neutral-800 border-neutral-700")}>−</button>
                     </div>
                   </div>
                 );
-              })}
-            </div>
+              }} />
           </div>
 
           <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800">
             <div className="flex items-center justify-between gap-2">
               <input className="flex-1 px-3 py-2 rounded bg-neutral-800 border border-neutral-700" value={deckName} onChange={e=>setDeckName(e.target.value)} />
             </div>
+            {roster && <div className="mt-1 text-xs text-sky-300">Roster "{roster.name}" — copy limits are shared with its other {roster.decks.length - 1} deck{roster.decks.length===2?"":"s"}</div>}
+            <div className="mt-1 text-xs opacity-60">{localDeckId ? "Saved on this device — not synced yet" : deckId ? "Editing saved deck — Save overwrites it" : "New deck — not saved yet"}</div>
             <div className="mt-3 text-sm opacity-80">Faction: {factionOfDeck} · Points: {deckPoints} / {pointCap}</div>
+            {deckSide.unmapped.length > 0 && (
+              <div className="mt-1 text-xs text-amber-300">Nation not in the faction registry: {deckSide.unmapped.join(", ")}</div>
+            )}
             <div className="mt-2 text-xs opacity-70">Effective total by range 0–3: {Object.values(effectiveSumByRange).map(v=>v.toFixed(2)).join(" / ")}</div>
+            <div className="mt-1 text-xs opacity-70">{findObjective(objectiveId).name}: {deckScore.toFixed(2)}</div>
+            {violations.length > 0 ? (
+              <div className="mt-2 text-xs text-red-400 space-y-0.5">
+                {violations.map(v => <div key={v.key}>⚠ {v.message}</div>)}
+              </div>
+            ) : deckItems.length > 0 && (
+              <div className="mt-2 text-xs text-emerald-400">Legal for {format.name}</div>
+            )}
             <div className="mt-3 h-[360px] overflow-auto divide-y divide-neutral-800">
               {deckItems.length===0 && <div className="opacity-60 text-sm">No units yet. Add from the left.</div>}
               {deckItems.map(({unit, count}) => (
                 <div key={unit.id} className="py-2 flex items-center justify-between">
                   <div>
-                    <div className="font-medium">{unit.name}</div>
+                    <button className="font-medium hover:underline text-left" onClick={()=>setDetailId(unit.id)}>{unit.name}</button>{unit.custom && <span className="ml-1 text-xs px-1 rounded bg-fuchsia-900 text-fuchsia-200">custom</span>}
                     <div className="text-xs opacity-70">{unit.nation} · {unit.type} · {unit.points} pts × {count}</div>
                   </div>
                   <div className="flex items-center gap-1">
@@ -485,20 +1360,93 @@ export default function App() {
                 </div>
               ))}
             </div>
-            <div className="mt-3 flex gap-2">
+            <div className="mt-3 flex flex-wrap gap-2">
+              <button onClick={undoDeck} disabled={!history.past.length} title="Undo (Ctrl+Z)" className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700 disabled:opacity-40">Undo</button>
+              <button onClick={redoDeck} disabled={!history.future.length} title="Redo (Ctrl+Shift+Z)" className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700 disabled:opacity-40">Redo</button>
               <button onClick={clearDeck} className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700">Clear</button>
-              <button onClick={saveDeck} disabled={saving || !session} className={classNames("px-3 py-2 rounded", saving||!session?"bg-neutral-800 border border-neutral-700 opacity-60":"bg-emerald-600 hover:bg-emerald-500")}>{saving?"Saving…":"Save deck"}</button>
+              <select value={visibility} onChange={e=>setVisibility(e.target.value)} title="Who can see this deck once saved" className="px-2 py-2 rounded bg-neutral-800 border border-neutral-700">
+                {VISIBILITIES.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+              </select>
+              <button onClick={()=>saveDeck()} disabled={saving} className={classNames("px-3 py-2 rounded", saving?"bg-neutral-800 border border-neutral-700 opacity-60":"bg-emerald-600 hover:bg-emerald-500")}>{saving?"Saving…":(!session||!online||!SUPABASE_CONFIGURED)?"Save on device":(deckId||localDeckId)?"Save changes":"Save deck"}</button>
+              {(deckId || localDeckId) && (
+                <button onClick={()=>saveDeck(true)} disabled={saving} className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700">Save as new</button>
+              )}
             </div>
             {error && <div className="mt-2 text-red-400 text-sm">{error}</div>}
             {ok && <div className="mt-2 text-emerald-400 text-sm">{ok}</div>}
+
+            <div className="mt-4 pt-3 border-t border-neutral-800">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-semibold">Snapshots</div>
+                <button onClick={takeSnapshot} disabled={!deckItems.length} className="text-xs px-2 py-1 rounded bg-neutral-800 border border-neutral-700 disabled:opacity-40">Take snapshot</button>
+              </div>
+              {snapshots.length === 0 && <div className="mt-1 text-xs opacity-60">None yet — take one before trying changes.</div>}
+              <div className="mt-2 space-y-1">
+                {snapshots.map(snap => (
+                  <div key={snap.id} className="flex items-center justify-between gap-2 text-xs">
+                    <div className="min-w-0">
+                      <div className="truncate">{snap.name}</div>
+                      <div className="opacity-60">{new Date(snap.created_at).toLocaleString()}</div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>setCompareSnapId(snap.id === compareSnapId ? null : snap.id)}>{snap.id === compareSnapId ? "Hide diff" : "Compare"}</button>
+                      <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>restoreSnapshot(snap)}>Restore</button>
+                      <button className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700" onClick={()=>deleteSnapshot(snap)} aria-label="Delete snapshot">✕</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {snapshotDiff && (
+                <div className="mt-2 p-2 rounded bg-neutral-800/60 text-xs space-y-0.5">
+                  <div className="opacity-70">Current deck vs "{snapshotDiff.snap.name}"</div>
+                  {!snapshotDiff.added.length && !snapshotDiff.removed.length && <div className="opacity-60">Same units</div>}
+                  {snapshotDiff.added.map(({unit, count}) => <div key={`+${unit.id}`} className="text-emerald-400">+ {count} × {unit.name}</div>)}
+                  {snapshotDiff.removed.map(({unit, count}) => <div key={`-${unit.id}`} className="text-red-400">− {count} × {unit.name}</div>)}
+                  <div className="pt-1">Points {signed(snapshotDiff.points)} · Effective 0–3: {[0,1,2,3].map(r => signed(snapshotDiff.eff[r], 2)).join(" / ")}</div>
+                </div>
+              )}
+            </div>
           </div>
+
+          <AnalyticsPanel units={units} deckItems={deckItems} compareOptions={compareOptions} />
+          <SimulatorPanel units={units} deckItems={deckItems} compareOptions={compareOptions} />
         </div>
       </section>
+      )}
+      {(view === "collection" || view === "homebrew") && (error || ok) && (
+        <div className={classNames("mt-2 text-sm", error ? "text-red-400" : "text-emerald-400")}>{error || ok}</div>
+      )}
+
+      {detailId && (() => {
+        const u = unitsById.get(detailId);
+        return u && (
+          <UnitDetail unit={u} inDeck={deck[u.id] || 0} onAdd={addToDeck} onRemove={removeFromDeck}
+            canAdd={(deck[u.id] || 0) < maxCopiesOf(u) && canAdd(rules, deckItems, u, ruleEnv).ok}
+            onClose={()=>setDetailId(null)} />
+        );
+      })()}
 
       <footer className="mt-6 text-xs opacity-60">
         Defaults: cap 150 · rule Axis-only · owned-only ON (requires login). Paste your new Anon key at the top. Magic link requests are rate-limited; if you hit it, the button will show a countdown.<br/>
+        {catalogInfo && (
+          <>Catalog: {sharedUnits.length} units{customRows.length > 0 && ` + ${customRows.length} custom`}, {catalogInfo.source === "cache" ? "cached" : "downloaded"} {new Date(catalogInfo.savedAt).toLocaleString()}{SUPABASE_CONFIGURED && online && <> · <button className="underline" onClick={()=>loadCatalog(true)}>refresh</button></>}<br/></>
+        )}
         Tip: In Supabase → Authentication → URL Configuration, add this origin to Allowed Redirect URLs: <code>{window.location.origin}/*</code>.
       </footer>
     </div>
+
+    {printSheet && (
+      <div className={classNames(sheetOpen ? "fixed inset-0 z-50 overflow-auto bg-white" : "hidden", "print:block print:static print:overflow-visible")}>
+        {sheetOpen && (
+          <div className="sticky top-0 flex justify-end gap-2 p-3 bg-neutral-100 border-b border-neutral-300 print:hidden">
+            <button className="px-3 py-1 rounded bg-black text-white" onClick={()=>window.print()}>Print / Save as PDF</button>
+            <button className="px-3 py-1 rounded border border-neutral-400 text-black" onClick={()=>setSheetOpen(false)}>Close</button>
+          </div>
+        )}
+        <FleetSheet deckName={deckName} formatName={format.name} factionOfDeck={factionOfDeck} pointCap={pointCap}
+          deckPoints={deckPoints} deckItems={deckItems} effectiveSumByRange={effectiveSumByRange} />
+      </div>
+    )}
+    </>
   );
 }
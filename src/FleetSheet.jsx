@@ -0,0 +1,108 @@
+import React, { useMemo } from "react";
+import { parseAbilities } from "./abilities.js";
+import { RANGES, formatStat, groupStats, statLabel } from "./analytics.js";
+
+/**
+ * Printable fleet sheet — one card per unit with its unit_stats line, abilities
+ * and a hull box row per copy to tick off damage during play, under a summary
+ * header. Black on white and page-break aware so "Print → Save as PDF" gives a
+ * usable game sheet. The parent decides when it is on screen; print styles
+ * (print:* classes) handle the rest.
+ */
+
+const HULL_COLUMN = /hull/i;
+const DEFAULT_HULL_BOXES = 4; // when the catalog has no hull column for a unit
+
+function hullBoxes(stats) {
+  const k = Object.keys(stats || {}).find((key) => HULL_COLUMN.test(key) && Number(stats[key]) > 0);
+  return k ? Math.min(20, Math.round(Number(stats[k]))) : DEFAULT_HULL_BOXES;
+}
+
+// page setup + white background for print; the rest of the app is print:hidden
+const PRINT_CSS = `
+@page { size: auto; margin: 12mm; }
+@media print {
+  html, body { background: #fff !important; }
+  .fleet-sheet { color: #000; font-size: 11px; }
+}
+`;
+
+function UnitCard({ unit, count }) {
+  const { ranged, other } = useMemo(() => groupStats(unit.stats), [unit]);
+  const abilities = useMemo(() => parseAbilities(unit.abilities), [unit]);
+  const boxes = hullBoxes(unit.stats);
+
+  return (
+    <div className="border border-neutral-400 rounded p-2 break-inside-avoid">
+      <div className="flex items-baseline justify-between gap-2">
+        <div className="font-bold">{count} × {unit.name}</div>
+        <div className="text-xs">{unit.points} pts{count > 1 ? ` (${unit.points * count})` : ""}</div>
+      </div>
+      <div className="text-xs text-neutral-600">{unit.nation} · {unit.type} · {unit.year ?? "—"} · {unit.set_name || "—"}</div>
+
+      {ranged.length > 0 && (
+        <table className="mt-1 w-full text-xs">
+          <thead>
+            <tr className="text-neutral-600">
+              <th className="text-left font-normal">Stat</th>
+              {RANGES.map((r) => <th key={r} className="text-right font-normal">{r}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ranged.map((row) => (
+              <tr key={row.prefix} className="border-t border-neutral-200">
+                <td>{statLabel(row.prefix)}</td>
+                {RANGES.map((r) => <td key={r} className="text-right">{row.values[r] == null ? "—" : formatStat(row.values[r])}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {other.length > 0 && (
+        <div className="mt-1 text-xs">{other.map(([k, v]) => `${statLabel(k)} ${formatStat(v)}`).join(" · ")}</div>
+      )}
+
+      {abilities.length > 0 && (
+        <ul className="mt-1 text-xs space-y-0.5">
+          {abilities.map((a, i) => (
+            <li key={i}><span className="font-semibold">{a.name}{a.value ? ` ${a.value}` : ""}</span>{a.description && <span className="text-neutral-600"> — {a.description}</span>}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-2 space-y-1">
+        {Array.from({ length: count }, (_, copy) => (
+          <div key={copy} className="flex items-center gap-1 text-xs">
+            <span className="w-12 text-neutral-600">#{copy + 1}</span>
+            {Array.from({ length: boxes }, (_, b) => <span key={b} className="inline-block w-4 h-4 border border-neutral-700" />)}
+            <span className="ml-2 text-neutral-600">sunk ☐</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function FleetSheet({ deckName, formatName, factionOfDeck, pointCap, deckPoints, deckItems, effectiveSumByRange }) {
+  const copies = deckItems.reduce((acc, { count }) => acc + count, 0);
+  return (
+    <div className="fleet-sheet bg-white text-black p-6 print:p-0">
+      <style>{PRINT_CSS}</style>
+      <div className="border-b-2 border-black pb-2 mb-3">
+        <div className="text-2xl font-bold">{deckName || "Deck"}</div>
+        <div className="text-sm">
+          {formatName} · {factionOfDeck} · {deckPoints} / {pointCap} pts · {copies} unit{copies === 1 ? "" : "s"}
+        </div>
+        <div className="text-sm">Effective total by range 0–3: {RANGES.map((r) => (effectiveSumByRange[r] || 0).toFixed(2)).join(" / ")}</div>
+        <div className="text-xs text-neutral-600">Printed {new Date().toLocaleDateString()}</div>
+      </div>
+      {deckItems.length === 0 ? (
+        <div className="text-sm">The deck is empty.</div>
+      ) : (
+        <div className="grid grid-cols-2 gap-3 print:gap-2">
+          {deckItems.map(({ unit, count }) => <UnitCard key={unit.id} unit={unit} count={count} />)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { RANGES, discoverColumns } from "./analytics.js";
+import { classNames } from "./classNames.js";
+import { DEFAULT_ROUNDS, DEFAULT_TRIALS, simulateMatchup } from "./battleSim.js";
+import { decodeDeckCode } from "./deckCode.js";
+import { importFleetList } from "./fleetList.js";
+
+/**
+ * Matchup simulator pane — the current deck against a saved/local deck or a
+ * pasted deck code / text list, run through battleSim.js at every range band.
+ *
+ * compareOptions: [{ id, name, deck: { unit_id: count } }] (same as AnalyticsPanel)
+ */
+
+const pct = (p) => `${Math.round(p * 100)}%`;
+const fmt = (n) => n.toFixed(2);
+
+export default function SimulatorPanel({ units, deckItems, compareOptions = [] }) {
+  const [opponentId, setOpponentId] = useState("");
+  const [pasted, setPasted] = useState("");
+  const [trials, setTrials] = useState(DEFAULT_TRIALS);
+  const [rounds, setRounds] = useState(DEFAULT_ROUNDS);
+  const [range, setRange] = useState(1);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState("");
+
+  // a result is only good for the decks and settings it was run with
+  useEffect(() => { setResult(null); setError(""); }, [deckItems, trials, rounds]);
+
+  const columns = useMemo(() => discoverColumns(units), [units]);
+  const byId = useMemo(() => new Map(units.map((u) => [u.id, u])), [units]);
+
+  const { opponent, opponentError } = useMemo(() => {
+    let deck = null;
+    if (opponentId === "paste") {
+      if (!pasted.trim()) return { opponent: null, opponentError: "" };
+      try { deck = decodeDeckCode(pasted).deck; } catch {
+        deck = importFleetList(pasted, units).deck;
+        if (!Object.keys(deck).length) return { opponent: null, opponentError: "Not a deck code, and no lines matched the catalog" };
+      }
+    } else deck = compareOptions.find((o) => o.id === opponentId)?.deck || null;
+    if (!deck) return { opponent: null, opponentError: "" };
+    const items = Object.entries(deck).map(([id, count]) => ({ unit: byId.get(id), count })).filter((x) => x.unit);
+    return { opponent: items, opponentError: items.length ? "" : "None of that deck's units are in the catalog" };
+  }, [opponentId, pasted, compareOptions, byId, units]);
+
+  const hasAttacks = ["gunnery", "torpedo", "antiair", "bombs"].some((c) => columns.attack[c]);
+  const ready = deckItems.length > 0 && opponent?.length > 0 && hasAttacks;
+
+  function run() {
+    setRunning(true); setError("");
+    // let "Simulating…" paint before the loop blocks the thread
+    setTimeout(() => {
+      try { setResult(simulateMatchup({ a: deckItems, b: opponent, columns, trials, rounds })); }
+      catch (e) { setResult(null); setError(`Simulation failed: ${e?.message || e}`); }
+      finally { setRunning(false); }
+    }, 0);
+  }
+
+  const at = result?.ranges.find((r) => r.range === range);
+
+  return (
+    <div className="p-4 rounded-2xl bg-neutral-900 border border-neutral-800 xl:col-span-2 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-semibold">Matchup simulator</div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="opacity-70">Against</span>
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={opponentId} onChange={(e) => { setOpponentId(e.target.value); setResult(null); setError(""); }}>
+            <option value="">— choose a deck —</option>
+            {compareOptions.map((o) => <option key={o.id} value={o.id}>{o.name}</option>)}
+            <option value="paste">Paste a deck code or list…</option>
+          </select>
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={trials} onChange={(e) => setTrials(Number(e.target.value))} title="Trials per range band">
+            {[100, 400, 1000, 2500].map((n) => <option key={n} value={n}>{n} trials</option>)}
+          </select>
+          <select className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1" value={rounds} onChange={(e) => setRounds(Number(e.target.value))} title="Rounds of fire per trial">
+            {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n} round{n === 1 ? "" : "s"}</option>)}
+          </select>
+          <button disabled={!ready || running} onClick={run} className={classNames("px-3 py-1 rounded", !ready || running ? "bg-neutral-800 border border-neutral-700 opacity-60" : "bg-blue-600 hover:bg-blue-500")}>
+            {running ? "Simulating…" : "Simulate"}
+          </button>
+        </div>
+      </div>
+      {opponentId === "paste" && (
+        <textarea className="w-full px-3 py-2 rounded bg-neutral-800 border border-neutral-700 font-mono text-xs" rows={3} placeholder={"deck code, share link, or a list like\n2x Bismarck"} value={pasted} onChange={(e) => { setPasted(e.target.value); setResult(null); setError(""); }} />
+      )}
+      {opponentError && <div className="text-xs text-red-400">{opponentError}</div>}
+      {error && <div className="text-xs text-red-400">{error}</div>}
+      {!hasAttacks && <div className="text-xs opacity-60">The simulator needs gunnery / torpedo / anti-air / bomb columns by range in unit_stats.</div>}
+      {deckItems.length === 0 && <div className="text-sm opacity-60">Add units to your deck to simulate a matchup.</div>}
+
+      {result && (
+        <>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="opacity-60 text-left">
+                <th className="font-normal py-1">Range</th>
+                <th className="font-normal py-1 text-right">Damage dealt</th>
+                <th className="font-normal py-1 text-right">Damage taken</th>
+                <th className="font-normal py-1 text-right">Their losses</th>
+                <th className="font-normal py-1 text-right">Our losses</th>
+                <th className="font-normal py-1 text-right">They're wiped</th>
+                <th className="font-normal py-1 text-right">We're wiped</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-neutral-800">
+              {result.ranges.map((r) => (
+                <tr key={r.range} className={classNames(r.range === range && "bg-neutral-800/60")} onClick={() => setRange(r.range)} style={{ cursor: "pointer" }}>
+                  <td className="py-1">Range {r.range}</td>
+                  <td className="py-1 text-right text-emerald-400">{fmt(r.a.dealt)}</td>
+                  <td className="py-1 text-right text-red-400">{fmt(r.a.taken)}</td>
+                  <td className="py-1 text-right">{fmt(r.b.sunk)}</td>
+                  <td className="py-1 text-right">{fmt(r.a.sunk)}</td>
+                  <td className="py-1 text-right">{pct(r.b.wiped)}</td>
+                  <td className="py-1 text-right">{pct(r.a.wiped)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex items-center gap-1 text-xs">
+            <span className="opacity-70 mr-1">Kill chances at</span>
+            {RANGES.map((r) => (
+              <button key={r} onClick={() => setRange(r)} className={classNames("px-2 py-0.5 rounded-full", r === range ? "bg-white text-black" : "bg-neutral-800 border border-neutral-700")}>range {r}</button>
+            ))}
+          </div>
+          {at && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+              {[["Their units sunk", at.b.units], ["Our units sunk", at.a.units]].map(([title, list]) => (
+                <div key={title}>
+                  <div className="text-sm font-medium mb-1">{title}</div>
+                  {list.slice().sort((x, y) => y.pSunk - x.pSunk).map(({ unit, copies, pSunk }) => (
+                    <div key={unit.id} className="grid grid-cols-[1fr_3rem] gap-2 items-center">
+                      <div className="truncate opacity-80">{copies > 1 ? `${copies} × ` : ""}{unit.name}</div>
+                      <div className="text-right">{pct(pSunk)}</div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+          {result.assumed.length > 0 && (
+            <div className="text-xs text-amber-300">No armor/hull values for {result.assumed.map((u) => u.name).join(", ")} — simulated as armor 1, hull 1.</div>
+          )}
+          <div className="text-xs opacity-60">
+            Averages over {result.ranges[0].trials} trials of {rounds} round{rounds === 1 ? "" : "s"} at a fixed range; no movement, abilities or initiative.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useEffect, useMemo } from "react";
+import { parseAbilities } from "./abilities.js";
+import { RANGES, formatStat, groupStats, statLabel } from "./analytics.js";
+
+/**
+ * Unit detail modal — the full unit_stats card for one unit.
+ * Range columns ("<stat>_0".."<stat>_3") become a table with one row per stat,
+ * everything else is listed under "Other stats". Abilities are split and
+ * annotated from the glossary (abilities.js).
+ */
+
+export default function UnitDetail({ unit, inDeck = 0, onAdd, onRemove, canAdd = true, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const { ranged, other } = useMemo(() => groupStats(unit.stats), [unit]);
+  const abilities = useMemo(() => parseAbilities(unit.abilities), [unit]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/60" onClick={onClose}>
+      <div className="h-full w-full max-w-xl overflow-auto bg-neutral-900 border-l border-neutral-800 p-5 space-y-5" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-label={unit.name}>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-xl font-bold">{unit.name}{unit.custom && <span className="ml-2 align-middle text-xs font-normal px-1 rounded bg-fuchsia-900 text-fuchsia-200">custom</span>}</div>
+            <div className="text-sm opacity-70">{unit.nation} · {unit.type} · {unit.points} pts</div>
+            <div className="text-xs opacity-60">Year {unit.year ?? "—"} · {unit.set_name || "—"} · {unit.rarity || "—"}</div>
+          </div>
+          <button className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {(onAdd || onRemove) && (
+          <div className="flex items-center gap-2 text-sm">
+            <span className="opacity-70">In deck</span>
+            <button disabled={!inDeck} className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 disabled:opacity-40" onClick={() => onRemove(unit)}>−</button>
+            <span className="w-8 text-center">{inDeck}</span>
+            <button disabled={!canAdd} className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 disabled:opacity-40" onClick={() => onAdd(unit)}>+</button>
+          </div>
+        )}
+
+        <div>
+          <div className="font-semibold mb-2">Abilities</div>
+          {abilities.length === 0 && <div className="text-sm opacity-60">None</div>}
+          <ul className="space-y-2">
+            {abilities.map((a, i) => (
+              <li key={i} className="text-sm">
+                <span className="font-medium">{a.name}</span>{a.value && <span className="opacity-70"> {a.value}</span>}
+                <div className="text-xs opacity-70">{a.description || "No glossary entry yet — see the unit card."}</div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {ranged.length > 0 && (
+          <div>
+            <div className="font-semibold mb-2">By range</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs opacity-60 text-left">
+                  <th className="font-normal py-1">Stat</th>
+                  {RANGES.map((r) => <th key={r} className="font-normal py-1 text-right">Range {r}</th>)}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-neutral-800">
+                {ranged.map((row) => (
+                  <tr key={row.prefix}>
+                    <td className="py-1">{statLabel(row.prefix)}</td>
+                    {RANGES.map((r) => <td key={r} className="py-1 text-right">{row.values[r] == null ? "—" : formatStat(row.values[r])}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {other.length > 0 && (
+          <div>
+            <div className="font-semibold mb-2">Other stats</div>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+              {other.map(([k, v]) => (
+                <React.Fragment key={k}>
+                  <dt className="opacity-70">{statLabel(k)}</dt>
+                  <dd className="text-right">{formatStat(v)}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * Windowed list — only the rows in (or near) view are in the DOM.
+ * Rows must have a fixed height (rowHeight px); renderRow(item, index) should
+ * return an element of that height. `className` styles the scroll container,
+ * whose height must be set (e.g. "h-[520px]").
+ */
+export default function VirtualList({ items, rowHeight, renderRow, getKey, className = "", overscan = 6, empty = null }) {
+  const ref = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(600);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const measure = () => setViewport(el.clientHeight || 600);
+    measure();
+    if (typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // a shorter list (new filter) may leave us scrolled past its end
+  useEffect(() => {
+    const el = ref.current;
+    if (el && el.scrollTop > items.length * rowHeight) { el.scrollTop = 0; setScrollTop(0); }
+  }, [items, rowHeight]);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + viewport) / rowHeight) + overscan);
+
+  return (
+    <div ref={ref} className={`overflow-auto ${className}`} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+      {items.length === 0 ? empty : (
+        <div style={{ height: items.length * rowHeight, position: "relative" }}>
+          <div style={{ position: "absolute", top: start * rowHeight, left: 0, right: 0 }}>
+            {items.slice(start, end).map((item, i) => (
+              <div key={getKey ? getKey(item) : start + i} style={{ height: rowHeight }}>
+                {renderRow(item, start + i)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * Ability glossary — short reminders for the comma-separated `abilities`
+ * column. These are summaries for browsing, not the card text; the unit card
+ * is always the authority. Keys are lower-case ability names without their
+ * numeric value ("Aircraft Carrier 2" looks up "aircraft carrier").
+ */
+
+export const ABILITY_GLOSSARY = {
+  "aircraft carrier": "Carries aircraft: may launch up to the listed number of air units each turn.",
+  "anti-submarine": "Can attack submarines (depth charges / sonar).",
+  "armor piercing": "Its gunnery hits are harder to shrug off — they count against vital armor more easily.",
+  "ace pilot": "Elite crew: better at air-to-air combat.",
+  "bomb": "Carries bombs for attacks against ships.",
+  "depth charges": "Can attack submarines at close range.",
+  "dive bomber": "Bombing attack that is more accurate against ships.",
+  "evasive": "Hard to hit: attackers need better rolls against it.",
+  "extended range": "Its long-range attacks reach one band further.",
+  "fast": "Moves further than ships of its class.",
+  "fighter": "Air-to-air unit; protects friendly aircraft and intercepts enemy ones.",
+  "flagship": "Adds its value to your side's initiative rolls.",
+  "heavily armored": "Extra protection against damage.",
+  "heavy bomber": "Large bomb load; slow and vulnerable to fighters.",
+  "improved radar": "Better gunnery accuracy, especially at range.",
+  "interceptor": "Fighter that is especially good at stopping bombers.",
+  "long-range aircraft": "Can operate far from its carrier or base.",
+  "patrol bomber": "Long-endurance aircraft for scouting and anti-submarine work.",
+  "radar": "Bonus to gunnery attacks.",
+  "scout": "Spots for friendly ships, helping them hit at range.",
+  "smoke generator": "Lays smoke that makes gunnery against nearby ships harder.",
+  "submarine": "Submerged: only certain units (anti-submarine) can attack it.",
+  "torpedo bomber": "Aircraft that attacks ships with torpedoes.",
+  "torpedo defense": "Can cancel some torpedo hits.",
+  "torpedo belt": "Can cancel some torpedo hits.",
+  "vulnerable magazines": "A lucky hit can destroy it outright.",
+};
+
+/**
+ * "Aircraft Carrier 2, Flagship (1), Radar" ->
+ * [{ name: "Aircraft Carrier", value: "2", text, description }, ...]
+ * Commas inside parentheses do not split.
+ */
+export function parseAbilities(raw) {
+  if (!raw || typeof raw !== "string") return [];
+  const parts = [];
+  let depth = 0;
+  let cur = "";
+  for (const c of raw) {
+    if (c === "(") depth += 1;
+    if (c === ")") depth = Math.max(0, depth - 1);
+    if ((c === "," || c === ";") && depth === 0) { parts.push(cur); cur = ""; continue; }
+    cur += c;
+  }
+  parts.push(cur);
+  return parts.map((p) => p.trim()).filter(Boolean).map((text) => {
+    const m = text.match(/^(.*?)\s*(?:\(([^)]*)\)|([+-]?\d+))?\s*$/);
+    const name = (m?.[1] || text).trim();
+    const value = m?.[2] ?? m?.[3] ?? null;
+    return { name, value, text, description: ABILITY_GLOSSARY[name.toLowerCase()] || null };
+  });
+}
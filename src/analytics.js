@@ -0,0 +1,123 @@
+/**
+ * Fleet analytics — numbers for the Analysis panel, derived from unit_stats.
+ *
+ * unit_stats columns differ between data sets, so attack categories are found
+ * by column name: "<prefix>_<range>" (or "<prefix><range>") for range 0–3,
+ * grouped by the patterns in ATTACK_CATEGORIES. A category whose columns do not
+ * exist in the catalog is simply left out.
+ */
+
+export const RANGES = [0, 1, 2, 3];
+
+export const ATTACK_CATEGORIES = [
+  { id: "effective", label: "Effective gunnery", test: (p) => p === "effective_gunnerytotal" },
+  { id: "gunnery", label: "Gunnery", test: (p) => /gun/i.test(p) && !/effective|total/i.test(p) },
+  { id: "torpedo", label: "Torpedo", test: (p) => /torp/i.test(p) },
+  { id: "antiair", label: "Anti-air", test: (p) => /anti_?air|^aa$|^aa_/i.test(p) },
+  { id: "bombs", label: "Bombs", test: (p) => /bomb/i.test(p) },
+];
+
+export const DEFENSE_FIELDS = [
+  { id: "armor", label: "Armor", test: (k) => /^armou?r$/i.test(k) },
+  { id: "vital", label: "Vital armor", test: (k) => /vital/i.test(k) },
+  { id: "hull", label: "Hull points", test: (k) => /hull/i.test(k) },
+];
+
+const RANGE_COLUMN = /^(.*?)_?([0-3])$/;
+
+/** "torpedo_2" -> { prefix: "torpedo", range: 2 }; null for columns without a range */
+export function splitRangeColumn(key) {
+  const m = key.match(RANGE_COLUMN);
+  return m && m[1] ? { prefix: m[1], range: Number(m[2]) } : null;
+}
+
+/**
+ * Scan the catalog once: { attack: { categoryId: { range: [column, ...] } }, defense: { id: [column] }, speed: column | null }
+ */
+export function discoverColumns(units) {
+  const keys = new Set();
+  units.forEach((u) => Object.keys(u.stats || {}).forEach((k) => keys.add(k)));
+  const attack = {};
+  const defense = {};
+  let speed = null;
+  for (const k of keys) {
+    if (k === "id" || k === "unit_id") continue;
+    const rc = splitRangeColumn(k);
+    if (rc) {
+      const cat = ATTACK_CATEGORIES.find((c) => c.test(rc.prefix));
+      if (cat) {
+        attack[cat.id] = attack[cat.id] || {};
+        (attack[cat.id][rc.range] = attack[cat.id][rc.range] || []).push(k);
+        continue;
+      }
+    }
+    const def = DEFENSE_FIELDS.find((d) => d.test(k));
+    if (def) (defense[def.id] = defense[def.id] || []).push(k);
+    if (!speed && /^speed$/i.test(k)) speed = k;
+  }
+  return { attack, defense, speed };
+}
+
+const HIDDEN_STATS = new Set(["id", "unit_id", "created_at", "updated_at"]);
+
+/** "effective_gunnerytotal" -> "Effective Gunnerytotal" */
+export const statLabel = (k) => k.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+/** Stat value for display: fractions to 2 decimals */
+export const formatStat = (v) => (typeof v === "number" && !Number.isInteger(v) ? v.toFixed(2) : String(v));
+
+/**
+ * One unit's stats for a stat card: ranged = [{ prefix, values: { range: v } }] for
+ * "<stat>_0".."<stat>_3" columns, other = [[column, value]] for the rest (empty values skipped).
+ */
+export function groupStats(stats) {
+  const byPrefix = new Map();
+  const other = [];
+  for (const [k, v] of Object.entries(stats || {})) {
+    if (HIDDEN_STATS.has(k) || v == null || v === "") continue;
+    const rc = splitRangeColumn(k);
+    if (rc) {
+      const row = byPrefix.get(rc.prefix) || { prefix: rc.prefix, values: {} };
+      row.values[rc.range] = v;
+      byPrefix.set(rc.prefix, row);
+    } else other.push([k, v]);
+  }
+  return { ranged: [...byPrefix.values()], other };
+}
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+function addTo(map, key, n) {
+  map[key] = (map[key] || 0) + n;
+}
+
+/**
+ * deckItems ([{ unit, count }]) -> {
+ *   attack: { categoryId: [r0, r1, r2, r3] }, defense: { armor, vital, hull },
+ *   speed: { value: copies }, pointsByType, pointsByNation, units, points
+ * }
+ */
+export function fleetAnalytics(deckItems, columns) {
+  const attack = {};
+  Object.entries(columns.attack).forEach(([cat, byRange]) => {
+    attack[cat] = RANGES.map((r) => deckItems.reduce((acc, { unit, count }) => acc + (byRange[r] || []).reduce((s, k) => s + num(unit.stats?.[k]), 0) * count, 0));
+  });
+  const defense = {};
+  Object.entries(columns.defense).forEach(([id, cols]) => {
+    defense[id] = deckItems.reduce((acc, { unit, count }) => acc + cols.reduce((s, k) => s + num(unit.stats?.[k]), 0) * count, 0);
+  });
+  const speed = {};
+  const pointsByType = {};
+  const pointsByNation = {};
+  let units = 0;
+  let points = 0;
+  for (const { unit, count } of deckItems) {
+    const pts = (unit.points || 0) * count;
+    if (columns.speed) addTo(speed, String(unit.stats?.[columns.speed] ?? "—"), count);
+    addTo(pointsByType, unit.type || "—", pts);
+    addTo(pointsByNation, unit.nation || "—", pts);
+    units += count;
+    points += pts;
+  }
+  return { attack, defense, speed, pointsByType, pointsByNation, units, points };
+}
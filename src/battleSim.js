@@ -0,0 +1,178 @@
+/**
+ * Battle matchup simulator — Monte Carlo exchanges between two fleets.
+ *
+ * Dice model (War at Sea): every attack rolls as many dice as its value; a 6
+ * is two hits, a 4 or 5 one hit. Hits >= the target's armor deal 1 damage,
+ * hits >= its vital armor sink it outright; a unit sinks when its hull points
+ * are gone.
+ *
+ * Each trial fights `rounds` rounds at one range band. In a round every afloat
+ * unit fires each of its attacks (per ATTACK_CATEGORIES, except the derived
+ * "effective" columns) at a random afloat enemy it may target: anti-air only at
+ * aircraft, everything else only at non-aircraft. Damage lands at the end of
+ * the round, so both sides shoot. It ignores movement, initiative, abilities
+ * and submarines' special rules — good for "how does A fare against B", not
+ * for predicting a game.
+ */
+
+import { RANGES } from "./analytics.js";
+
+export const DEFAULT_TRIALS = 400;
+export const DEFAULT_ROUNDS = 3;
+
+/** Used when a unit has no armor / hull column; reported as `assumed` */
+const FALLBACK_DEFENSE = { armor: 1, vital: Infinity, hull: 1 };
+
+const SIM_CATEGORIES = ["gunnery", "torpedo", "antiair", "bombs"];
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+export const isAircraft = (unit) => /aircraft|plane|fighter|bomber/i.test(unit.type || "") && !/carrier/i.test(unit.type || "");
+
+/** Small seeded PRNG (mulberry32), for repeatable runs */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Hits from rolling n dice: 6 -> 2, 4-5 -> 1 */
+export function rollHits(n, rand = Math.random) {
+  let hits = 0;
+  for (let i = 0; i < n; i++) {
+    const die = 1 + Math.floor(rand() * 6);
+    if (die === 6) hits += 2;
+    else if (die >= 4) hits += 1;
+  }
+  return hits;
+}
+
+/**
+ * unit -> { unit, aircraft, attacks: { categoryId: [r0..r3] }, armor, vital, hull, assumed }
+ * `columns` comes from discoverColumns(units).
+ */
+export function combatProfile(unit, columns) {
+  const sum = (cols) => (cols || []).reduce((acc, k) => acc + num(unit.stats?.[k]), 0);
+  const attacks = {};
+  for (const cat of SIM_CATEGORIES) {
+    const byRange = columns.attack[cat];
+    if (byRange) attacks[cat] = RANGES.map((r) => sum(byRange[r]));
+  }
+  const armor = sum(columns.defense.armor);
+  const vital = sum(columns.defense.vital);
+  const hull = sum(columns.defense.hull);
+  const assumed = !(armor > 0 && hull > 0);
+  return {
+    unit,
+    aircraft: isAircraft(unit),
+    attacks,
+    armor: armor > 0 ? armor : FALLBACK_DEFENSE.armor,
+    vital: vital > 0 ? vital : FALLBACK_DEFENSE.vital,
+    hull: hull > 0 ? Math.round(hull) : FALLBACK_DEFENSE.hull,
+    assumed,
+  };
+}
+
+/** deckItems -> one profile per copy */
+function fleetProfiles(deckItems, columns) {
+  const out = [];
+  for (const { unit, count } of deckItems) {
+    const p = combatProfile(unit, columns);
+    for (let i = 0; i < count; i++) out.push(p);
+  }
+  return out;
+}
+
+const canTarget = (cat, target) => (cat === "antiair" ? target.aircraft : !target.aircraft);
+
+/** One round: `shooters` fire at `targets` (hull left in `hp`), damage collected in `dmg` */
+function fire(shooters, shooterHp, targets, hp, dmg, range, rand) {
+  shooters.forEach((s, i) => {
+    if (shooterHp[i] <= 0) return;
+    for (const [cat, byRange] of Object.entries(s.attacks)) {
+      const dice = Math.round(byRange[range] || 0);
+      if (dice <= 0) continue;
+      const options = [];
+      targets.forEach((t, j) => { if (hp[j] > 0 && canTarget(cat, t)) options.push(j); });
+      if (!options.length) continue;
+      const j = options[Math.floor(rand() * options.length)];
+      const hits = rollHits(dice, rand);
+      if (hits >= targets[j].vital) dmg[j] += targets[j].hull; // vital hit sinks it
+      else if (hits >= targets[j].armor) dmg[j] += 1;
+    }
+  });
+}
+
+/**
+ * Monte Carlo at one range band.
+ * -> { range, trials, a: SideResult, b: SideResult }
+ * SideResult: { dealt, taken, sunk, wiped, units: [{ unit, copies, pSunk }] }
+ *   dealt/taken = average hull damage per trial (capped at hull), sunk = average
+ *   own units lost, wiped = share of trials where the whole fleet went down.
+ */
+export function simulateRange({ a, b, columns, range, rounds = DEFAULT_ROUNDS, trials = DEFAULT_TRIALS, rand = Math.random }) {
+  const A = fleetProfiles(a, columns);
+  const B = fleetProfiles(b, columns);
+  const lostA = new Array(A.length).fill(0);
+  const lostB = new Array(B.length).fill(0);
+  let takenA = 0;
+  let takenB = 0;
+  let wipedA = 0;
+  let wipedB = 0;
+
+  for (let t = 0; t < trials; t++) {
+    const hpA = A.map((p) => p.hull);
+    const hpB = B.map((p) => p.hull);
+    for (let r = 0; r < rounds; r++) {
+      const dmgA = new Array(A.length).fill(0);
+      const dmgB = new Array(B.length).fill(0);
+      fire(A, hpA, B, hpB, dmgB, range, rand);
+      fire(B, hpB, A, hpA, dmgA, range, rand);
+      dmgA.forEach((d, i) => { hpA[i] = Math.max(0, hpA[i] - d); });
+      dmgB.forEach((d, i) => { hpB[i] = Math.max(0, hpB[i] - d); });
+      if (hpA.every((h) => h <= 0) || hpB.every((h) => h <= 0)) break;
+    }
+    hpA.forEach((h, i) => { takenA += A[i].hull - h; if (h <= 0) lostA[i] += 1; });
+    hpB.forEach((h, i) => { takenB += B[i].hull - h; if (h <= 0) lostB[i] += 1; });
+    if (A.length && hpA.every((h) => h <= 0)) wipedA += 1;
+    if (B.length && hpB.every((h) => h <= 0)) wipedB += 1;
+  }
+
+  const side = (profiles, lost, taken, dealt, wiped) => {
+    const byUnit = new Map();
+    profiles.forEach((p, i) => {
+      const e = byUnit.get(p.unit.id) || { unit: p.unit, copies: 0, lost: 0 };
+      e.copies += 1;
+      e.lost += lost[i];
+      byUnit.set(p.unit.id, e);
+    });
+    return {
+      dealt: dealt / trials,
+      taken: taken / trials,
+      sunk: lost.reduce((acc, n) => acc + n, 0) / trials,
+      wiped: wiped / trials,
+      units: [...byUnit.values()].map((e) => ({ unit: e.unit, copies: e.copies, pSunk: e.lost / (e.copies * trials) })),
+    };
+  };
+
+  return {
+    range,
+    trials,
+    a: side(A, lostA, takenA, takenB, wipedA),
+    b: side(B, lostB, takenB, takenA, wipedB),
+  };
+}
+
+/** simulateRange for every range band; `assumed` lists units simulated with FALLBACK_DEFENSE */
+export function simulateMatchup({ a, b, columns, rounds, trials, rand }) {
+  const assumed = [...a, ...b].filter(({ unit }) => combatProfile(unit, columns).assumed).map(({ unit }) => unit);
+  return {
+    ranges: RANGES.map((range) => simulateRange({ a, b, columns, range, rounds, trials, rand })),
+    assumed: Array.from(new Set(assumed)),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Catalog search — query syntax, structured filters and sorting.
+ *
+ * Query syntax (space separated, quotes for spaces, "-" in front negates):
+ *   destroyer                 free text: name or abilities contain it
+ *   nation:japan,italy        field contains any of the values
+ *   type:"heavy cruiser"      (fields: name, nation, type, set, rarity, ability / has)
+ *   points<=20  year>=1942    numeric comparisons: < <= > >= = !=
+ *   points:10..20             inclusive range
+ *   effective_gunnerytotal_2>=3   any unit_stats column; eff0..eff3 are shorthands
+ *   -has:submarine            negation
+ * Example: "cheap Japanese destroyers with torpedoes" = nation:japan type:destroyer has:torpedo points<=20
+ *
+ * Structured filters (the panel controls) are a plain object, see EMPTY_FILTERS,
+ * so they can be saved as named presets.
+ */
+
+export const EMPTY_FILTERS = {
+  query: "",
+  nations: [],
+  types: [],
+  sets: [],
+  rarities: [],
+  pointsMin: "",
+  pointsMax: "",
+  yearMin: "",
+  yearMax: "",
+};
+
+const TEXT_FIELDS = {
+  name: "name",
+  nation: "nation",
+  type: "type",
+  set: "set_name",
+  set_name: "set_name",
+  rarity: "rarity",
+  ability: "abilities",
+  abilities: "abilities",
+  has: "abilities",
+};
+
+const NUMBER_FIELDS = { points: "points", pts: "points", year: "year" };
+
+/** Split on spaces outside quotes; quotes are removed */
+function tokenize(text) {
+  const out = [];
+  const re = /(-?)((?:[^\s"]|"[^"]*")+)/g;
+  let m;
+  while ((m = re.exec(text))) out.push({ neg: m[1] === "-", body: m[2].replace(/"/g, "") });
+  return out;
+}
+
+/** Value of a numeric field or stat column for a unit (NaN when missing) */
+function numberOf(unit, field) {
+  if (NUMBER_FIELDS[field]) return Number(unit[NUMBER_FIELDS[field]] ?? NaN);
+  const eff = field.match(/^eff([0-3])$/);
+  const col = eff ? `effective_gunnerytotal_${eff[1]}` : field;
+  const v = unit.stats?.[col];
+  return v == null || v === "" ? NaN : Number(v);
+}
+
+const COMPARE = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+/**
+ * Query text -> [{ neg, test(unit) -> boolean, label }]. Unknown syntax falls back to free text.
+ */
+export function parseQuery(text) {
+  return tokenize(String(text || "").trim()).map(({ neg, body }) => {
+    let m = body.match(/^([a-z_][\w]*)\s*(<=|>=|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)$/i);
+    if (m) {
+      const [, field, op, n] = m;
+      const f = field.toLowerCase();
+      return { neg, label: body, test: (u) => { const v = numberOf(u, f); return Number.isFinite(v) && COMPARE[op](v, Number(n)); } };
+    }
+    m = body.match(/^([a-z_][\w]*):(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/i);
+    if (m) {
+      const [, field, lo, hi] = m;
+      const f = field.toLowerCase();
+      return {
+        neg, label: body,
+        test: (u) => { const v = numberOf(u, f); return Number.isFinite(v) && (lo == null || v >= Number(lo)) && (hi == null || v <= Number(hi)); },
+      };
+    }
+    m = body.match(/^([a-z_]+):(.+)$/i);
+    if (m && TEXT_FIELDS[m[1].toLowerCase()]) {
+      const col = TEXT_FIELDS[m[1].toLowerCase()];
+      const values = m[2].toLowerCase().split(",").map((v) => v.trim()).filter(Boolean);
+      return { neg, label: body, test: (u) => values.some((v) => String(u[col] || "").toLowerCase().includes(v)) };
+    }
+    const word = body.toLowerCase();
+    return { neg, label: body, test: (u) => u.name?.toLowerCase().includes(word) || u.abilities?.toLowerCase().includes(word) };
+  });
+}
+
+const inRange = (v, lo, hi) => (lo === "" || lo == null || v >= Number(lo)) && (hi === "" || hi == null || v <= Number(hi));
+
+/** Apply structured filters + query to a unit list */
+export function applyFilters(units, filters) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const clauses = parseQuery(f.query);
+  const nations = new Set(f.nations);
+  const types = new Set(f.types);
+  const sets = new Set(f.sets);
+  const rarities = new Set(f.rarities);
+  return units.filter((u) =>
+    (!nations.size || nations.has(u.nation)) &&
+    (!types.size || types.has(u.type)) &&
+    (!sets.size || sets.has(u.set_name)) &&
+    (!rarities.size || rarities.has(u.rarity)) &&
+    inRange(u.points || 0, f.pointsMin, f.pointsMax) &&
+    ((f.yearMin === "" && f.yearMax === "") || (u.year != null && inRange(u.year, f.yearMin, f.yearMax))) &&
+    clauses.every((c) => c.test(u) !== c.neg));
+}
+
+const effTotal = (u) => [0, 1, 2, 3].reduce((acc, r) => acc + Number(u.stats?.[`effective_gunnerytotal_${r}`] || 0), 0);
+
+export const SORTS = [
+  { id: "name", label: "Name", key: (u) => u.name || "" },
+  { id: "points", label: "Points", key: (u) => u.points || 0 },
+  { id: "year", label: "Year", key: (u) => u.year ?? 0 },
+  { id: "nation", label: "Nation", key: (u) => u.nation || "" },
+  { id: "type", label: "Type", key: (u) => u.type || "" },
+  { id: "eff", label: "Effective total", key: effTotal },
+  { id: "effPerPoint", label: "Effective / point", key: (u) => effTotal(u) / Math.max(1, u.points || 1) },
+];
+
+export function sortUnits(units, sortId, dir = "asc") {
+  const sort = SORTS.find((s) => s.id === sortId);
+  if (!sort) return units;
+  const sign = dir === "desc" ? -1 : 1;
+  return units.slice().sort((a, b) => {
+    const x = sort.key(a);
+    const y = sort.key(b);
+    return sign * (typeof x === "string" ? x.localeCompare(y) : x - y) || (a.name || "").localeCompare(b.name || "");
+  });
+}
+
+/** Number of active structured filters (for the "Reset (n)" label) */
+export function activeFilterCount(filters) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  return [f.query, f.pointsMin, f.pointsMax, f.yearMin, f.yearMax].filter((v) => v !== "").length +
+    [f.nations, f.types, f.sets, f.rarities].filter((a) => a.length).length;
+}
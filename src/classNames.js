@@ -0,0 +1,4 @@
+/** classNames("a", cond && "b") -> "a b": joins the truthy class names */
+export function classNames(...xs) {
+  return xs.filter(Boolean).join(" ");
+}
@@ -0,0 +1,70 @@
+/**
+ * Custom (homebrew) units — user-made units kept apart from the shared
+ * units / unit_stats tables and merged into the catalog at load time.
+ *
+ * Stored row: { id, name, nation, type, year, points, abilities, stats: { column: value } }.
+ * In the catalog it becomes a normal unit with id "custom-<row id>", set and
+ * rarity "Custom" and `custom: true`, so the badge, the noHomebrew format rule
+ * and the filters can tell it apart.
+ */
+
+export const CUSTOM_PREFIX = "custom-";
+export const CUSTOM_SET = "Custom";
+
+export const EMPTY_CUSTOM_UNIT = { name: "", nation: "", type: "", year: "", points: "", abilities: "", stats: {} };
+
+export const isCustomUnit = (unit) => !!unit?.custom;
+
+/** Stored row -> catalog unit */
+export function toCatalogUnit(row) {
+  return {
+    id: `${CUSTOM_PREFIX}${row.id}`,
+    custom_id: row.id,
+    custom: true,
+    name: row.name,
+    nation: row.nation || null,
+    type: row.type || null,
+    year: row.year === "" || row.year == null ? null : Number(row.year),
+    points: Number(row.points) || 0,
+    set_name: CUSTOM_SET,
+    rarity: CUSTOM_SET,
+    abilities: row.abilities || "",
+    stats: row.stats || {},
+  };
+}
+
+/** Shared catalog + custom rows; a custom id never collides with a catalog id */
+export function mergeCatalog(units, customRows) {
+  return customRows.length ? [...units, ...customRows.map(toCatalogUnit)] : units;
+}
+
+/** Deck with unit ids renamed by `renamed` ({ old id: new id }), e.g. once local custom units get server ids */
+export function renameUnits(deck, renamed) {
+  const out = {};
+  for (const [id, count] of Object.entries(deck || {})) {
+    const to = renamed[id] || id;
+    out[to] = (out[to] || 0) + count;
+  }
+  return out;
+}
+
+/** Numeric-looking stat values become numbers, empty ones are dropped */
+export function cleanStats(stats) {
+  const out = {};
+  for (const [k, v] of Object.entries(stats || {})) {
+    const key = k.trim();
+    const val = String(v ?? "").trim();
+    if (!key || val === "") continue;
+    out[key] = /^-?\d+(\.\d+)?$/.test(val) ? Number(val) : val;
+  }
+  return out;
+}
+
+/** Form values -> [error message]; empty when the unit can be saved */
+export function validateCustomUnit(draft) {
+  const errors = [];
+  if (!String(draft.name || "").trim()) errors.push("Name is required");
+  if (!(Number(draft.points) >= 0) || String(draft.points).trim() === "") errors.push("Points must be a number ≥ 0");
+  if (String(draft.year ?? "").trim() !== "" && !Number.isInteger(Number(draft.year))) errors.push("Year must be a whole number");
+  return errors;
+}
@@ -0,0 +1,102 @@
+/**
+ * Deck codes — compact, versioned, URL-safe strings for sharing a fleet.
+ *
+ * Format (v1):  "1." + base64url(JSON { c: pointCap, r: rule, u: [[unit_id, count], ...] })
+ * rule is shortened to a | l | m (axis_only | allies_only | mixed).
+ * The leading version lets us change the payload later and still read old codes.
+ */
+
+export const DECK_CODE_VERSION = 1;
+
+const RULE_TO_CODE = { axis_only: "a", allies_only: "l", mixed: "m" };
+const CODE_TO_RULE = { a: "axis_only", l: "allies_only", m: "mixed" };
+
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+/** { deck, pointCap, factionRule } -> deck code */
+export function encodeDeckCode({ deck, pointCap, factionRule }) {
+  const payload = {
+    c: pointCap,
+    r: RULE_TO_CODE[factionRule] || "m",
+    u: Object.entries(deck).filter(([, n]) => n > 0),
+  };
+  return `${DECK_CODE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Deck code (or a full share URL containing ?deck=) -> { deck, pointCap, factionRule }.
+ * Throws with a readable message if the code is malformed or from an unknown version.
+ */
+export function decodeDeckCode(input) {
+  let code = String(input || "").trim();
+  if (!code) throw new Error("Paste a deck code first");
+  if (/^https?:\/\//i.test(code)) {
+    code = new URL(code).searchParams.get("deck") || "";
+    if (!code) throw new Error("That link has no ?deck= code");
+  }
+  const dot = code.indexOf(".");
+  const version = Number(code.slice(0, dot));
+  if (dot < 1 || !Number.isInteger(version)) throw new Error("Not a deck code");
+  if (version !== DECK_CODE_VERSION) throw new Error(`Unsupported deck code version ${version}`);
+
+  let payload;
+  try { payload = JSON.parse(fromBase64Url(code.slice(dot + 1))); } catch { throw new Error("Deck code is corrupted"); }
+  if (!payload || !Array.isArray(payload.u)) throw new Error("Deck code is corrupted");
+
+  const deck = {};
+  for (const entry of payload.u) {
+    const [id, n] = Array.isArray(entry) ? entry : [];
+    const count = parseInt(n, 10);
+    if (id == null || !(count > 0)) throw new Error("Deck code is corrupted");
+    deck[String(id)] = (deck[String(id)] || 0) + count;
+  }
+  return {
+    deck,
+    pointCap: Number(payload.c) || null,
+    factionRule: CODE_TO_RULE[payload.r] || null,
+  };
+}
+
+/** Share URL for the current page with ?deck=<code> (other query params are kept). */
+export function deckShareUrl(code, location = window.location) {
+  const url = new URL(location.href);
+  url.hash = "";
+  url.searchParams.set("deck", code);
+  return url.toString();
+}
+
+/**
+ * Check a decoded deck against the catalog before loading it.
+ * - unknown: unit ids not in `units` (kept out of the deck, but reported)
+ * - overCopies: units asking for more copies than user_ownership allows (clamped)
+ * - points / overCap: resulting points vs. the cap
+ * Returns { deck, unknown, overCopies, points, overCap }.
+ */
+export function validateImportedDeck(decoded, units, ownership = {}, pointCap = decoded.pointCap) {
+  const byId = new Map(units.map((u) => [String(u.id), u]));
+  const deck = {};
+  const unknown = [];
+  const overCopies = [];
+  let points = 0;
+  for (const [id, count] of Object.entries(decoded.deck)) {
+    const u = byId.get(id);
+    if (!u) { unknown.push({ id, count }); continue; }
+    const maxCopies = ownership[u.id]?.copies ?? 99;
+    const n = Math.min(count, maxCopies);
+    if (n < count) overCopies.push({ unit: u, requested: count, allowed: maxCopies });
+    if (n > 0) deck[u.id] = n;
+    points += (u.points || 0) * n;
+  }
+  return { deck, unknown, overCopies, points, overCap: pointCap != null && points > pointCap };
+}
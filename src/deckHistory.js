@@ -0,0 +1,102 @@
+/**
+ * Deck history — undo/redo for deck edits, and named snapshots.
+ *
+ * A deck is { unit_id: count }. History is { past: [deck], future: [deck] };
+ * the current deck itself stays in App state. Snapshots live in localStorage
+ * per deck, keyed by the saved deck id, the local deck id or "draft".
+ */
+
+export const HISTORY_LIMIT = 100;
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+export function sameDeck(a, b) {
+  const ka = Object.keys(a || {});
+  if (ka.length !== Object.keys(b || {}).length) return false;
+  return ka.every((k) => a[k] === b[k]);
+}
+
+/** Record `prev` as the deck before an edit; a new edit drops the redo branch */
+export function record(history, prev) {
+  return { past: [...history.past, prev].slice(-HISTORY_LIMIT), future: [] };
+}
+
+/** -> { deck, history } or null when there is nothing to undo */
+export function undo(history, current) {
+  if (!history.past.length) return null;
+  return {
+    deck: history.past[history.past.length - 1],
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future] },
+  };
+}
+
+/** -> { deck, history } or null when there is nothing to redo */
+export function redo(history, current) {
+  if (!history.future.length) return null;
+  return {
+    deck: history.future[0],
+    history: { past: [...history.past, current], future: history.future.slice(1) },
+  };
+}
+
+// -------------- snapshots --------------
+
+const SNAPSHOTS_KEY = "deck_snapshots";
+
+function readAll() {
+  try { return JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || "{}"); } catch { return {}; }
+}
+
+function writeAll(all) {
+  localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(all));
+}
+
+/** Snapshot: { id, name, deck, point_cap, created_at } */
+export const snapshotStore = {
+  list: (key) => (readAll()[key] || []).slice().sort((a, b) => b.created_at - a.created_at),
+  save: (key, { name, deck, point_cap }) => {
+    const all = readAll();
+    const snap = { id: `snap-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, name, deck, point_cap, created_at: Date.now() };
+    all[key] = [...(all[key] || []), snap];
+    writeAll(all);
+    return snap;
+  },
+  remove: (key, id) => {
+    const all = readAll();
+    all[key] = (all[key] || []).filter((s) => s.id !== id);
+    if (!all[key].length) delete all[key];
+    writeAll(all);
+  },
+  /** Carry snapshots over when a deck gets a new key (first save, sync) */
+  move: (from, to) => {
+    if (!from || !to || from === to) return;
+    const all = readAll();
+    if (!all[from]) return;
+    all[to] = [...(all[to] || []), ...all[from]];
+    delete all[from];
+    writeAll(all);
+  },
+};
+
+const effOf = (unit, r) => Number(unit?.stats?.[`effective_gunnerytotal_${r}`] || 0);
+
+/**
+ * What changes going from deck `from` to deck `to`:
+ * { added: [{ unit, count }], removed: [{ unit, count }], points, eff: { 0..3 } }
+ * (counts and deltas are to - from; unknown unit ids are listed with unit = { id, name: id })
+ */
+export function diffDecks(from, to, unitsById) {
+  const added = [];
+  const removed = [];
+  const eff = { 0: 0, 1: 0, 2: 0, 3: 0 };
+  let points = 0;
+  for (const id of new Set([...Object.keys(from || {}), ...Object.keys(to || {})])) {
+    const delta = (to?.[id] || 0) - (from?.[id] || 0);
+    if (!delta) continue;
+    const unit = unitsById.get(id) || { id, name: id };
+    (delta > 0 ? added : removed).push({ unit, count: Math.abs(delta) });
+    points += (unit.points || 0) * delta;
+    for (const r of [0, 1, 2, 3]) eff[r] += effOf(unit, r) * delta;
+  }
+  const byName = (a, b) => (a.unit.name || "").localeCompare(b.unit.name || "");
+  return { added: added.sort(byName), removed: removed.sort(byName), points, eff };
+}
@@ -0,0 +1,163 @@
+/**
+ * Deck logic — the catalog join, faction resolution, deck totals, legality and
+ * the recommender, as plain functions with no React, DOM or network access, so
+ * the App and the tests (test/) share one implementation.
+ *
+ * Data types:
+ *
+ * @typedef {Object} UnitRow        a row of `units`
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [nation]
+ * @property {string} [type]
+ * @property {number} [year]
+ * @property {number} points
+ * @property {string} [set_name]
+ * @property {string} [rarity]
+ * @property {string} [abilities]   comma separated, see abilities.js
+ *
+ * @typedef {Object<string, (number|string|null)>} UnitStats   a row of `unit_stats` (unit_id + stat columns)
+ *
+ * @typedef {UnitRow & { stats: UnitStats, custom?: boolean }} Unit   catalog unit (units joined with unit_stats)
+ *
+ * @typedef {Object<string, number>} Deck          unit_id -> copies
+ * @typedef {{ unit: Unit, count: number }} DeckItem
+ * @typedef {Object<string, { owned?: boolean, copies?: number }>} Ownership   unit_id -> user_ownership row
+ *
+ * @typedef {Object} FactionRegistry   see factions.js
+ * @property {(nation: string, year?: number) => ("Axis"|"Allies"|null)} factionOf
+ * @property {(nation: string) => boolean} isMapped
+ *
+ * @typedef {{ kind: string }} Rule    see formats.js
+ * @typedef {{ key: string, rule: string, message: string, excess: number, unitId?: string }} Violation
+ *
+ * @typedef {Object} DeckTotals
+ * @property {number} points
+ * @property {number} copies
+ * @property {Object<number, number>} effectiveByRange   effective_gunnerytotal_0..3 summed over copies
+ */
+
+import { applyFilters, sortUnits } from "./catalogQuery.js";
+import { allowsHomebrew, canAdd, checkDeck, rulesFor } from "./formats.js";
+import { optimizeFleet } from "./optimizer.js";
+import { UNCAPPED } from "./roster.js";
+
+const RANGES = [0, 1, 2, 3];
+
+/**
+ * units + unit_stats rows -> catalog units; a unit without a stats row gets {}.
+ * @param {UnitRow[]} unitRows
+ * @param {UnitStats[]} statRows
+ * @returns {Unit[]}
+ */
+export function joinUnitStats(unitRows, statRows) {
+  const byUnit = new Map(statRows.map((r) => [r.unit_id, r]));
+  return unitRows.map((u) => ({ ...u, stats: byUnit.get(u.id) || {} }));
+}
+
+/** @param {Unit[]} units @returns {Map<string, Unit>} */
+export function indexUnits(units) {
+  return new Map(units.map((u) => [u.id, u]));
+}
+
+/**
+ * Deck -> items, in deck order; ids missing from the catalog are dropped.
+ * @param {Deck} deck
+ * @param {Map<string, Unit>} unitsById
+ * @returns {DeckItem[]}
+ */
+export function deckItemsOf(deck, unitsById) {
+  return Object.entries(deck || {})
+    .map(([id, count]) => ({ unit: unitsById.get(id), count }))
+    .filter((x) => x.unit);
+}
+
+/** @param {DeckItem[]} deckItems @returns {DeckTotals} */
+export function deckTotals(deckItems) {
+  const effectiveByRange = { 0: 0, 1: 0, 2: 0, 3: 0 };
+  let points = 0;
+  let copies = 0;
+  for (const { unit, count } of deckItems) {
+    points += (unit.points || 0) * count;
+    copies += count;
+    RANGES.forEach((r) => { effectiveByRange[r] += Number(unit.stats?.[`effective_gunnerytotal_${r}`] || 0) * count; });
+  }
+  return { points, copies, effectiveByRange };
+}
+
+/**
+ * Side of a unit from its nation and year.
+ * @param {FactionRegistry} registry
+ * @param {Unit} unit
+ */
+export const unitFaction = (registry, unit) => registry.factionOf(unit.nation, unit.year);
+
+/**
+ * How many copies of a unit a deck may hold: the owned copies, uncapped without an ownership row.
+ * @param {Ownership} ownership
+ * @param {Unit} unit
+ */
+export const copiesCap = (ownership, unit) => ownership?.[unit.id]?.copies ?? UNCAPPED;
+
+/**
+ * Rules and environment for a format with the Rules panel settings.
+ * @param {{ format: { rules: Rule[] }, pointCap: number, factionRule: string, registry: FactionRegistry, selectedSets?: string[] }} opts
+ * @returns {{ rules: Rule[], env: { factionOf: (u: Unit) => string|null, selectedSets: string[] } }}
+ */
+export function legalityContext({ format, pointCap, factionRule, registry, selectedSets = [] }) {
+  return {
+    rules: rulesFor(format, { pointCap, factionRule }),
+    env: { factionOf: (u) => unitFaction(registry, u), selectedSets },
+  };
+}
+
+/**
+ * @param {{ rules: Rule[], env: Object }} context   from legalityContext()
+ * @param {DeckItem[]} deckItems
+ * @returns {{ violations: Violation[], legal: boolean }}
+ */
+export function deckLegality({ rules, env }, deckItems) {
+  const violations = checkDeck(rules, deckItems, env);
+  return { violations, legal: violations.length === 0 };
+}
+
+/**
+ * The catalog as the Available Units list shows it: filters and query, the faction
+ * rule, owned-only (custom units always count as owned), homebrew exclusion, sort.
+ * @param {Unit[]} units
+ * @param {{ filters: Object, sortId: string, sortDir: string, factionRule: string, ownedOnly: boolean,
+ *           ownership: Ownership, registry: FactionRegistry, format: { rules: Rule[] } }} opts
+ * @returns {Unit[]}
+ */
+export function catalogView(units, { filters, sortId, sortDir, factionRule, ownedOnly, ownership, registry, format }) {
+  let list = applyFilters(units, filters);
+  if (factionRule !== "mixed") {
+    const side = factionRule === "axis_only" ? "Axis" : "Allies";
+    list = list.filter((u) => unitFaction(registry, u) === side);
+  }
+  if (ownedOnly) list = list.filter((u) => u.custom || ownership[u.id]?.owned || ownership[u.id]?.copies > 0);
+  if (!allowsHomebrew(format.rules)) list = list.filter((u) => !u.custom);
+  return sortUnits(list, sortId, sortDir);
+}
+
+/**
+ * Recommend: the best legal fleets from `pool`, optionally completing `deck`.
+ * @param {{ pool: Unit[], units: Unit[], deck: Deck, completeDeck: boolean, context: { rules: Rule[], env: Object },
+ *           valueOf: (u: Unit) => number, balance: number, copiesOf: (u: Unit) => number, pointCap: number }} opts
+ * @returns {{ deck: Deck, items: DeckItem[], score: number, points: number }[]}   best first
+ */
+export function recommendFleets({ pool, units, deck, completeDeck, context, valueOf, balance, copiesOf, pointCap }) {
+  return optimizeFleet({
+    pool,
+    start: completeDeck ? deck : {},
+    units,
+    valueOf,
+    balance,
+    copiesOf,
+    canAddUnit: (items, u) => canAddWith(context, items, u),
+    pointCap,
+  });
+}
+
+/** canAdd() for a legalityContext() */
+export const canAddWith = ({ rules, env }, deckItems, unit) => canAdd(rules, deckItems, unit, env).ok;
@@ -0,0 +1,91 @@
+/**
+ * Faction registry — which side a nation fought on, optionally by year.
+ *
+ * Rows: { nation, faction: "Axis" | "Allies", from_year?, to_year?, aliases? }
+ * A nation may have several rows for different years (Italy changed sides in
+ * 1943, Romania and Bulgaria in 1944). Lookups use the unit's year; a unit with
+ * no year takes the row without bounds or, failing that, the earliest row.
+ *
+ * The live table is `nation_factions` in Supabase (same columns, aliases as a
+ * text[]); BUNDLED_FACTIONS is used when it is missing or unreachable.
+ */
+
+export const BUNDLED_FACTIONS = [
+  { nation: "Germany", faction: "Axis" },
+  { nation: "Japan", faction: "Axis" },
+  { nation: "Italy", faction: "Axis", to_year: 1943 },
+  { nation: "Italy", faction: "Allies", from_year: 1944, aliases: ["Italian Co-Belligerent"] },
+  { nation: "Romania", faction: "Axis", to_year: 1944 },
+  { nation: "Romania", faction: "Allies", from_year: 1945 },
+  { nation: "Bulgaria", faction: "Axis", to_year: 1944 },
+  { nation: "Bulgaria", faction: "Allies", from_year: 1945 },
+  { nation: "Finland", faction: "Axis", to_year: 1944 },
+  { nation: "Finland", faction: "Allies", from_year: 1945 },
+  { nation: "Hungary", faction: "Axis" },
+  { nation: "Vichy France", faction: "Axis", aliases: ["Vichy"] },
+  { nation: "Thailand", faction: "Axis" },
+  { nation: "Axis", faction: "Axis" },
+  { nation: "United States", faction: "Allies", aliases: ["USA", "US"] },
+  { nation: "United Kingdom", faction: "Allies", aliases: ["UK", "Britain", "Great Britain"] },
+  { nation: "Soviet Union", faction: "Allies", aliases: ["USSR"] },
+  { nation: "France", faction: "Allies" },
+  { nation: "Free France", faction: "Allies", aliases: ["Free French"] },
+  { nation: "Canada", faction: "Allies" },
+  { nation: "Australia", faction: "Allies" },
+  { nation: "New Zealand", faction: "Allies" },
+  { nation: "Netherlands", faction: "Allies", aliases: ["Dutch"] },
+  { nation: "Poland", faction: "Allies" },
+  { nation: "Greece", faction: "Allies" },
+  { nation: "Norway", faction: "Allies" },
+  { nation: "China", faction: "Allies" },
+  { nation: "Yugoslavia", faction: "Allies" },
+  { nation: "Brazil", faction: "Allies" },
+  { nation: "Allies", faction: "Allies" },
+];
+
+const key = (nation) => String(nation || "").trim().toLowerCase();
+
+/**
+ * rows -> { factionOf(nation, year) -> "Axis" | "Allies" | null, isMapped(nation), rows }
+ */
+export function createFactionRegistry(rows = BUNDLED_FACTIONS) {
+  const byNation = new Map();
+  for (const row of rows) {
+    if (!row?.nation || !row.faction) continue;
+    for (const name of [row.nation, ...(row.aliases || [])]) {
+      const k = key(name);
+      if (!byNation.has(k)) byNation.set(k, []);
+      byNation.get(k).push(row);
+    }
+  }
+  byNation.forEach((list) => list.sort((a, b) => (a.from_year ?? -Infinity) - (b.from_year ?? -Infinity)));
+
+  return {
+    rows,
+    isMapped: (nation) => byNation.has(key(nation)),
+    factionOf: (nation, year) => {
+      const list = byNation.get(key(nation));
+      if (!list) return null;
+      const y = Number(year);
+      if (year == null || !Number.isFinite(y)) {
+        return (list.find((r) => r.from_year == null && r.to_year == null) || list[0]).faction;
+      }
+      const hit = list.find((r) => (r.from_year == null || y >= r.from_year) && (r.to_year == null || y <= r.to_year));
+      return (hit || list[list.length - 1]).faction;
+    },
+  };
+}
+
+/**
+ * "Axis" | "Allies" | "Mixed" for a deck; unmapped lists nations the registry does not know.
+ */
+export function deckFaction(deckItems, registry) {
+  const sides = new Set();
+  const unmapped = new Set();
+  for (const { unit } of deckItems) {
+    const side = registry.factionOf(unit.nation, unit.year);
+    if (side) sides.add(side); else unmapped.add(unit.nation || "(none)");
+  }
+  const faction = unmapped.size === 0 && sides.size <= 1 ? ([...sides][0] || "Axis") : "Mixed";
+  return { faction, unmapped: [...unmapped] };
+}
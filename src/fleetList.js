@@ -0,0 +1,197 @@
+/**
+ * Human-readable fleet lists — plain-text roster and CSV, both ways.
+ *
+ * Export takes the deck panel's derived values (deckItems, totals) so the text
+ * matches what the builder shows. Import accepts our own exports, CSV with a
+ * name/count header, or loose lists such as "2x Bismarck" / "Yamato ×1" /
+ * "Hood, 2" / one name per line, and fuzzy-matches names against the catalog.
+ */
+
+// -------------- export --------------
+
+/** Text roster: one line per unit, then totals and effective damage by range. */
+export function fleetToText({ deckName, factionOfDeck, pointCap, deckItems, deckPoints, effectiveSumByRange }) {
+  const lines = [];
+  lines.push(`Deck: ${deckName || "Untitled"}`);
+  lines.push(`Faction: ${factionOfDeck} · Points: ${deckPoints} / ${pointCap}`);
+  lines.push("");
+  const sorted = deckItems.slice().sort((a, b) => (b.unit.points || 0) - (a.unit.points || 0) || a.unit.name.localeCompare(b.unit.name));
+  for (const { unit, count } of sorted) {
+    const pts = unit.points || 0;
+    lines.push(`${count} × ${unit.name} — ${unit.nation} · ${unit.type} · ${pts} pts = ${pts * count}`);
+  }
+  lines.push("");
+  const total = deckItems.reduce((acc, x) => acc + x.count, 0);
+  lines.push(`Units: ${total} · Points: ${deckPoints} / ${pointCap}`);
+  lines.push(`Effective total by range 0–3: ${Object.values(effectiveSumByRange).map((v) => v.toFixed(2)).join(" / ")}`);
+  return lines.join("\n") + "\n";
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV with a header row; round-trips through parseFleetList. */
+export function fleetToCsv(deckItems) {
+  const rows = [["name", "nation", "type", "points", "count", "total"]];
+  for (const { unit, count } of deckItems) {
+    rows.push([unit.name, unit.nation, unit.type, unit.points || 0, count, (unit.points || 0) * count]);
+  }
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/** Trigger a browser download of `text` as `filename`. */
+export function downloadText(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// -------------- parse --------------
+
+/** Split CSV text into rows of cells (quotes and escaped quotes supported). */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+const NAME_HEADERS = ["name", "unit", "unit name", "ship"];
+const COUNT_HEADERS = ["count", "qty", "quantity", "copies", "x", "#"];
+const NATION_HEADERS = ["nation", "country"];
+
+// Only called when the first row is a header naming a name column (see parseFleetList)
+function parseCsvList(text) {
+  const rows = parseCsv(text);
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const nameCol = header.findIndex((h) => NAME_HEADERS.includes(h));
+  const countCol = header.findIndex((h) => COUNT_HEADERS.includes(h));
+  const nationCol = header.findIndex((h) => NATION_HEADERS.includes(h));
+  return rows.slice(1).map((r) => {
+    const count = countCol >= 0 ? parseInt(r[countCol], 10) : 1;
+    return { line: r.join(","), name: (r[nameCol] || "").trim(), count: count > 0 ? count : 1, hint: nationCol >= 0 ? r[nationCol] : "" };
+  }).filter((x) => x.name);
+}
+
+// Header/footer lines of our own text export (and similar "Label: value" lines)
+const LABEL_LINE = /^(deck|faction|points|units|total|effective[^:]*)\s*:/i;
+
+function parseTextList(text) {
+  const out = [];
+  for (const raw of text.split(/\r?\n/)) {
+    let line = raw.trim().replace(/^[-*•]\s+/, "");
+    if (!line || line.startsWith("#") || LABEL_LINE.test(line)) continue;
+    let count = 1;
+    let m = line.match(/^(\d+)\s*[x×*]?\s+(.+)$/i) || line.match(/^(\d+)[x×*](.+)$/i);
+    if (m) { count = parseInt(m[1], 10); line = m[2]; }
+    else if ((m = line.match(/^(.+?)\s*(?:[x×*]|,)\s*(\d+)$/i))) { count = parseInt(m[2], 10); line = m[1]; }
+    // "Name — Nation · Type · 32 pts" / "Name (Nation · Type)" / "Name | ..." → keep the name, use the rest as a hint
+    const cut = line.search(/\s+[—–|]\s+|\s*\(/);
+    const name = (cut >= 0 ? line.slice(0, cut) : line).trim();
+    const hint = cut >= 0 ? line.slice(cut) : "";
+    if (name && count > 0) out.push({ line: raw.trim(), name, count, hint });
+  }
+  return out;
+}
+
+/** Pasted text or CSV -> [{ line, name, count, hint }] */
+export function parseFleetList(text) {
+  const src = String(text || "");
+  const first = src.split(/\r?\n/).find((l) => l.trim()) || "";
+  const looksCsv = first.includes(",") && NAME_HEADERS.some((h) => first.toLowerCase().split(",").map((x) => x.trim().replace(/"/g, "")).includes(h));
+  return looksCsv ? parseCsvList(src) : parseTextList(src);
+}
+
+// -------------- fuzzy matching --------------
+
+export function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function bigrams(s) {
+  const t = ` ${s} `;
+  const out = new Map();
+  for (let i = 0; i < t.length - 1; i++) {
+    const g = t.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/** Dice coefficient over character bigrams, 0..1 */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const A = bigrams(a);
+  const B = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  A.forEach((n, g) => { overlap += Math.min(n, B.get(g) || 0); total += n; });
+  B.forEach((n) => { total += n; });
+  return total ? (2 * overlap) / total : 0;
+}
+
+export const MATCH_THRESHOLD = 0.6;
+
+/**
+ * Best catalog match for a typed name. `hint` is any extra text from the line
+ * (nation, type) and only breaks near-ties. Returns { unit, score } or null.
+ */
+export function matchUnitName(name, units, hint = "") {
+  const q = normalizeName(name);
+  if (!q) return null;
+  const h = normalizeName(hint);
+  let best = null;
+  for (const u of units) {
+    const n = normalizeName(u.name);
+    let score = similarity(q, n);
+    // "Bismarck" vs "KMS Bismarck": containment of whole words counts as a strong match
+    if (score < 1 && (` ${n} `.includes(` ${q} `) || ` ${q} `.includes(` ${n} `))) score = Math.max(score, 0.9);
+    if (h && u.nation && h.includes(normalizeName(u.nation))) score += 0.02;
+    if (!best || score > best.score) best = { unit: u, score };
+  }
+  return best && best.score >= MATCH_THRESHOLD ? { unit: best.unit, score: Math.min(1, best.score) } : null;
+}
+
+/**
+ * Parse + match a pasted list. Returns
+ * { deck, matched: [{ line, name, count, unit, score }], unmatched: [{ line, name, count }] }.
+ * Lines naming the same unit are summed.
+ */
+export function importFleetList(text, units) {
+  const deck = {};
+  const matched = [];
+  const unmatched = [];
+  for (const entry of parseFleetList(text)) {
+    const m = matchUnitName(entry.name, units, entry.hint);
+    if (!m) { unmatched.push(entry); continue; }
+    deck[m.unit.id] = (deck[m.unit.id] || 0) + entry.count;
+    matched.push({ ...entry, unit: m.unit, score: m.score });
+  }
+  return { deck, matched, unmatched };
+}
@@ -0,0 +1,142 @@
+/**
+ * Tournament formats — legality rules as data.
+ *
+ * A format is { id, name, pointCap?, factionRule?, rules: [...] }. pointCap and
+ * factionRule, when present, lock those controls in the Rules panel; `rules` are
+ * extra checks. Every rule is a plain object with a `kind` (see CHECKS below):
+ *
+ *   { kind: "pointCap", max }                       total points ≤ max
+ *   { kind: "faction", side: "Axis" | "Allies" }    every unit's nation is on that side
+ *   { kind: "years", from?, to? }                   unit.year within [from, to]
+ *   { kind: "sets", allowed?: [...] }               unit.set_name in allowed
+ *                                                   (no `allowed` = the sets picked in the UI)
+ *   { kind: "maxCopies", max, match? }              ≤ max copies of each matching unit
+ *   { kind: "maxCount", max, match?, label? }       ≤ max copies of matching units in total
+ *   { kind: "noHomebrew" }                          no custom units (unit.custom); they are
+ *                                                   also hidden from the catalog and recommender
+ *
+ * `match` narrows a rule to some units: { type?, nation?, ability? } — each a
+ * case-insensitive regex source tested against that unit field (all must match).
+ *
+ * checkDeck() returns named violations; canAdd() tells the unit list and the
+ * recommender whether one more copy would add or worsen one.
+ */
+
+const AIRCRAFT = "aircraft|plane|fighter|bomber|seaplane";
+// Unique (named) ships carry an explicit "Unique" ability on the card
+const UNIQUE = "\\bunique\\b";
+
+export const FORMATS = [
+  { id: "custom", name: "Custom (cap + faction rule)", rules: [] },
+  {
+    id: "axis150_historic",
+    name: "150 Axis Historic",
+    pointCap: 150,
+    factionRule: "axis_only",
+    rules: [{ kind: "maxCopies", max: 1, match: { ability: UNIQUE }, label: "unique ships" }, { kind: "noHomebrew" }],
+  },
+  { id: "early_war", name: "Year-restricted 1939–1941", rules: [{ kind: "years", from: 1939, to: 1941 }, { kind: "noHomebrew" }] },
+  { id: "unique_ships", name: "Max 1 of each unique ship", rules: [{ kind: "maxCopies", max: 1, match: { ability: UNIQUE }, label: "unique ships" }] },
+  { id: "air_limit", name: "No more than 3 aircraft", rules: [{ kind: "maxCount", max: 3, match: { type: AIRCRAFT }, label: "aircraft" }] },
+  { id: "set_restricted", name: "Set-restricted", rules: [{ kind: "sets" }] },
+];
+
+export const DEFAULT_FORMAT = "custom";
+
+export function findFormat(id) {
+  return FORMATS.find((f) => f.id === id) || FORMATS[0];
+}
+
+/** True if a format needs the set picker (a "sets" rule without a fixed list). */
+export function usesSelectedSets(format) {
+  return format.rules.some((r) => r.kind === "sets" && !r.allowed);
+}
+
+/** False if the rules in force exclude custom units. */
+export function allowsHomebrew(rules) {
+  return !rules.some((r) => r.kind === "noHomebrew");
+}
+
+/** Rules in force: the cap and faction rule from the controls, then the format's own. */
+export function rulesFor(format, { pointCap, factionRule }) {
+  const out = [{ kind: "pointCap", max: pointCap }];
+  if (factionRule === "axis_only") out.push({ kind: "faction", side: "Axis" });
+  if (factionRule === "allies_only") out.push({ kind: "faction", side: "Allies" });
+  return [...out, ...format.rules];
+}
+
+function matches(match, unit) {
+  if (!match) return true;
+  return Object.entries(match).every(([field, pattern]) => new RegExp(pattern, "i").test(String(unit[field === "ability" ? "abilities" : field] || "")));
+}
+
+// Each check returns [{ key, message, excess }]; key identifies the same problem
+// across deck states so canAdd can tell "new or worse" from "already there".
+const CHECKS = {
+  pointCap: (rule, items) => {
+    const pts = items.reduce((acc, { unit, count }) => acc + (unit.points || 0) * count, 0);
+    return pts > rule.max ? [{ key: "pointCap", message: `Over the point cap: ${pts} / ${rule.max}`, excess: pts - rule.max }] : [];
+  },
+  faction: (rule, items, env) => items
+    .filter(({ unit }) => env.factionOf(unit) !== rule.side)
+    .map(({ unit, count }) => ({
+      key: `faction:${unit.id}`,
+      unitId: unit.id,
+      message: env.factionOf(unit) == null
+        ? `${unit.name}: nation "${unit.nation || "none"}" is not mapped to a faction`
+        : `${unit.name} (${unit.nation}${unit.year ? `, ${unit.year}` : ""}) is not ${rule.side}`,
+      excess: count,
+    })),
+  years: (rule, items) => items
+    .filter(({ unit }) => unit.year == null || (rule.from != null && unit.year < rule.from) || (rule.to != null && unit.year > rule.to))
+    .map(({ unit, count }) => ({
+      key: `years:${unit.id}`,
+      unitId: unit.id,
+      message: unit.year == null ? `${unit.name} has no year on record` : `${unit.name} (${unit.year}) is outside ${rule.from ?? "…"}–${rule.to ?? "…"}`,
+      excess: count,
+    })),
+  sets: (rule, items, env) => {
+    const allowed = new Set(rule.allowed || env.selectedSets || []);
+    return items
+      .filter(({ unit }) => !allowed.has(unit.set_name))
+      .map(({ unit, count }) => ({ key: `sets:${unit.id}`, unitId: unit.id, message: `${unit.name} is from ${unit.set_name || "an unknown set"}, not an allowed set`, excess: count }));
+  },
+  maxCopies: (rule, items) => items
+    .filter(({ unit, count }) => count > rule.max && matches(rule.match, unit))
+    .map(({ unit, count }) => ({ key: `maxCopies:${unit.id}`, unitId: unit.id, message: `${unit.name}: ${count} copies, max ${rule.max}${rule.label ? ` for ${rule.label}` : ""}`, excess: count - rule.max })),
+  noHomebrew: (rule, items) => items
+    .filter(({ unit }) => unit.custom)
+    .map(({ unit, count }) => ({ key: `noHomebrew:${unit.id}`, unitId: unit.id, message: `${unit.name} is a custom unit — not allowed in this format`, excess: count })),
+  maxCount: (rule, items) => {
+    const n = items.filter(({ unit }) => matches(rule.match, unit)).reduce((acc, x) => acc + x.count, 0);
+    return n > rule.max ? [{ key: "maxCount", message: `${n} ${rule.label || "matching units"}, max ${rule.max}`, excess: n - rule.max }] : [];
+  },
+};
+
+/**
+ * deckItems ([{ unit, count }]) -> [{ key, rule, message, excess, unitId? }].
+ * env: { factionOf(unit) -> "Axis" | "Allies" | null, selectedSets?: string[] }
+ */
+export function checkDeck(rules, deckItems, env) {
+  const out = [];
+  rules.forEach((rule, i) => {
+    const check = CHECKS[rule.kind];
+    if (!check) return;
+    check(rule, deckItems, env).forEach((v) => out.push({ ...v, key: `${i}:${v.key}`, rule: rule.kind }));
+  });
+  return out;
+}
+
+/**
+ * Would one more copy of `unit` add or worsen a violation?
+ * Returns { ok: true } or { ok: false, reason } (reason is the violation message).
+ */
+export function canAdd(rules, deckItems, unit, env) {
+  const before = new Map(checkDeck(rules, deckItems, env).map((v) => [v.key, v.excess]));
+  const found = deckItems.some((x) => x.unit.id === unit.id);
+  const after = found
+    ? deckItems.map((x) => (x.unit.id === unit.id ? { unit: x.unit, count: x.count + 1 } : x))
+    : [...deckItems, { unit, count: 1 }];
+  const worse = checkDeck(rules, after, env).find((v) => v.excess > (before.get(v.key) ?? 0));
+  return worse ? { ok: false, reason: worse.message } : { ok: true };
+}
@@ -0,0 +1,138 @@
+/**
+ * Offline support.
+ *
+ * - catalogCache: the merged units + unit_stats list in IndexedDB (it can be a
+ *   few MB, too big for localStorage), stamped with a version and save time.
+ * - localDecks: decks saved while signed out or offline, in localStorage, each
+ *   marked pending until it has been pushed to decks/deck_units.
+ */
+
+const DB_NAME = "was-deckbuilder";
+const STORE = "cache";
+const CATALOG_KEY = "catalog";
+
+/** Refetch the catalog at least this often even if the version looks unchanged */
+export const CATALOG_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB unavailable")); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idb(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally { db.close(); }
+}
+
+export const catalogCache = {
+  /** -> { version, savedAt, units } | null (never throws) */
+  load: async () => {
+    try { return (await idb("readonly", (s) => s.get(CATALOG_KEY))) || null; } catch { return null; }
+  },
+  save: async (units, version) => {
+    try { await idb("readwrite", (s) => s.put({ version, savedAt: Date.now(), units }, CATALOG_KEY)); } catch { /* not cached: the next load fetches again */ }
+  },
+  isStale: (cached, version) => !cached || cached.version !== version || Date.now() - cached.savedAt > CATALOG_MAX_AGE_MS,
+};
+
+// -------------- local decks --------------
+
+const LOCAL_DECKS_KEY = "local_decks";
+
+// Pending decks are kept per user ("local_decks:<user id | anon>") so one account's offline
+// saves are never pushed into another's; signed-out ones are claimed by the next sign-in.
+const localKey = (userId) => `${LOCAL_DECKS_KEY}:${userId || "anon"}`;
+const scopes = (userId) => (userId ? [userId, null] : [null]);
+
+function readLocal(userId) {
+  try { return JSON.parse(localStorage.getItem(localKey(userId)) || "[]"); } catch { return []; }
+}
+
+function writeLocal(userId, list) {
+  localStorage.setItem(localKey(userId), JSON.stringify(list));
+  return list;
+}
+
+// Decks from the single unscoped key have no known owner: they count as signed-out ones
+function adoptUnscoped() {
+  const raw = localStorage.getItem(LOCAL_DECKS_KEY);
+  if (raw == null) return;
+  try { writeLocal(null, [...readLocal(null), ...JSON.parse(raw)]); } catch { /* unreadable: dropped */ }
+  localStorage.removeItem(LOCAL_DECKS_KEY);
+}
+
+let syncing = null;
+
+/**
+ * Local deck: { local_id, name, point_cap, faction_rule, deck: { unit_id: count }, updated_at }.
+ * Every local deck is pending until sync() pushes it and removes it. `userId` is the
+ * signed-in user (null when signed out); a user sees their own decks and the signed-out ones.
+ */
+export const localDecks = {
+  list: (userId) => {
+    adoptUnscoped();
+    return scopes(userId).flatMap((s) => readLocal(s)).sort((a, b) => b.updated_at - a.updated_at);
+  },
+  /** Insert, or update when `row.local_id` exists. Returns the stored row. */
+  save: (userId, row) => {
+    const stored = { ...row, local_id: row.local_id || `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, updated_at: Date.now() };
+    localDecks.remove(userId, stored.local_id);
+    writeLocal(userId, [...readLocal(userId), stored]);
+    return stored;
+  },
+  remove: (userId, localId) => {
+    scopes(userId).forEach((s) => writeLocal(s, readLocal(s).filter((x) => x.local_id !== localId)));
+  },
+  /** Rewrite every local deck the user sees with `fn(row)` */
+  update: (userId, fn) => {
+    adoptUnscoped();
+    scopes(userId).forEach((s) => writeLocal(s, readLocal(s).map(fn)));
+  },
+  /**
+   * Push every local deck of a signed-in user with `push(row)` (resolves once saved
+   * remotely), dropping each one as it succeeds. Stops at the first failure; returns
+   * { pushed, failed }. Calls made while a sync is running share it, so no deck is pushed twice.
+   */
+  sync: (userId, push) => {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      adoptUnscoped();
+      let pushed = 0;
+      for (const row of scopes(userId).flatMap((s) => readLocal(s))) {
+        try {
+          await push(row);
+        } catch (e) {
+          return { pushed, failed: e };
+        }
+        localDecks.remove(userId, row.local_id);
+        pushed += 1;
+      }
+      return { pushed, failed: null };
+    })().finally(() => { syncing = null; });
+    return syncing;
+  },
+};
+
+/** Tag a rejection of fetch() itself — the request never got an HTTP response */
+export function markNetworkError(e) {
+  const err = e instanceof Error ? e : new Error(String(e));
+  err.network = true;
+  return err;
+}
+
+/** True for a tagged fetch() failure or while the browser says it is offline — never for HTTP errors or bugs */
+export function isNetworkError(e) {
+  return e?.network === true || (typeof navigator !== "undefined" && navigator.onLine === false);
+}
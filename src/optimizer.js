@@ -0,0 +1,137 @@
+/**
+ * Fleet optimizer — used by Recommend.
+ *
+ * Beam search over fleets, one copy at a time. Every step is checked with the
+ * caller's canAddUnit (format rules incl. point cap, see formats.js) and the
+ * per-unit copy limit from user_ownership, so anything the builder forbids is
+ * never proposed. Units are added in a fixed order per branch, which means each
+ * fleet is reached once (no permutations) and the beam holds distinct fleets.
+ *
+ * States are ranked by score plus an optimistic bound for the points still
+ * free, so cheap efficient units are not crowded out by expensive ones early.
+ * The best few complete fleets seen anywhere in the search are returned.
+ */
+
+/** Sum of numeric stat columns whose name matches `re` */
+function statSum(stats, re) {
+  let out = 0;
+  for (const [k, v] of Object.entries(stats || {})) {
+    if (k === "id" || k === "unit_id" || !re.test(k)) continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) out += n;
+  }
+  return out;
+}
+
+export const DEFAULT_WEIGHTS = [1, 1, 1, 1]; // effective damage at range 0..3
+
+export const OBJECTIVES = [
+  {
+    id: "damage",
+    name: "Effective damage (weighted by range)",
+    value: (u, weights) => [0, 1, 2, 3].reduce((acc, r) => acc + (weights[r] ?? 1) * Number(u.stats?.[`effective_gunnerytotal_${r}`] || 0), 0),
+  },
+  { id: "antiair", name: "Anti-air", value: (u) => statSum(u.stats, /anti_?air|(^|_)aa(_|$)/i) },
+  { id: "survivability", name: "Survivability (armor + hull)", value: (u) => statSum(u.stats, /armor|hull|vital/i) },
+];
+
+export function findObjective(id) {
+  return OBJECTIVES.find((o) => o.id === id) || OBJECTIVES[0];
+}
+
+/**
+ * Fleet score: sum of unit values, with copies of the same type worth less
+ * as `balance` (0..1) goes up — the k-th unit of a type counts (1 - balance)^k.
+ */
+export function fleetScore(items, valueOf, balance = 0) {
+  const perType = new Map();
+  const values = [];
+  for (const { unit, count } of items) {
+    for (let i = 0; i < count; i++) values.push({ type: unit.type || "", v: valueOf(unit) });
+  }
+  values.sort((a, b) => b.v - a.v);
+  let score = 0;
+  for (const { type, v } of values) {
+    const k = perType.get(type) || 0;
+    score += v * Math.pow(1 - balance, k);
+    perType.set(type, k + 1);
+  }
+  return score;
+}
+
+/**
+ * Search for the best fleets.
+ *  pool         candidate units (already filtered by the catalog filters)
+ *  start        { unit_id: count } — a partial deck to complete (kept as is)
+ *  units        full catalog, to resolve `start`
+ *  valueOf      unit -> number (from an objective)
+ *  balance      0..1, see fleetScore
+ *  copiesOf     unit -> max copies (ownership)
+ *  canAddUnit   (items, unit) -> boolean, items = [{ unit, count }]
+ *  pointCap     for the optimistic bound only; the cap itself is a rule
+ * Returns up to `alternatives` fleets: [{ deck, items, score, points }], best first.
+ */
+export function optimizeFleet({
+  pool, start = {}, units, valueOf, balance = 0, copiesOf, canAddUnit, pointCap,
+  alternatives = 3, beamWidth = 40, maxCandidates = 60,
+}) {
+  const byId = new Map(units.map((u) => [u.id, u]));
+  const startItems = Object.entries(start).map(([id, count]) => ({ unit: byId.get(id), count })).filter((x) => x.unit);
+
+  const cache = new Map();
+  const value = (u) => {
+    if (!cache.has(u.id)) cache.set(u.id, valueOf(u));
+    return cache.get(u.id);
+  };
+
+  // Candidates: positive value, best value per point first, capped for speed
+  const candidates = pool
+    .map((u) => ({ u, v: value(u), pts: u.points || 0 }))
+    .filter((c) => c.v > 0 && c.pts > 0)
+    .sort((a, b) => b.v / b.pts - a.v / a.pts)
+    .slice(0, maxCandidates);
+  const bestDensity = candidates.length ? candidates[0].v / candidates[0].pts : 0;
+
+  const pointsOf = (items) => items.reduce((acc, x) => acc + (x.unit.points || 0) * x.count, 0);
+  const makeState = (items, next) => {
+    const points = pointsOf(items);
+    const score = fleetScore(items, value, balance);
+    return { items, next, points, score, rank: score + Math.max(0, pointCap - points) * bestDensity };
+  };
+
+  const best = [];
+  const keep = (state) => {
+    best.push(state);
+    best.sort((a, b) => b.score - a.score || b.points - a.points);
+    if (best.length > alternatives) best.pop();
+  };
+
+  // Only fleets that cannot take another unit are kept as results, so the
+  // alternatives are complete fleets rather than the winner minus one unit
+  let frontier = [makeState(startItems, 0)];
+  while (frontier.length) {
+    const children = [];
+    for (const state of frontier) {
+      const before = children.length;
+      for (let i = state.next; i < candidates.length; i++) {
+        const { u } = candidates[i];
+        const cur = state.items.find((x) => x.unit.id === u.id);
+        if ((cur?.count || 0) >= copiesOf(u)) continue;
+        if (!canAddUnit(state.items, u)) continue;
+        const items = cur
+          ? state.items.map((x) => (x === cur ? { unit: u, count: x.count + 1 } : x))
+          : [...state.items, { unit: u, count: 1 }];
+        children.push(makeState(items, i));
+      }
+      if (children.length === before) keep(state);
+    }
+    children.sort((a, b) => b.rank - a.rank);
+    frontier = children.slice(0, beamWidth);
+  }
+
+  return best.map(({ items, score, points }) => {
+    const deck = {};
+    items.forEach(({ unit, count }) => { deck[unit.id] = count; });
+    return { deck, items, score, points };
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Tournament rosters — several decks built from one collection.
+ *
+ * Roster: { name, decks: [{ key, name, deck: { unit_id: count } }] }.
+ * Copies are shared: a unit used twice in one deck and once in another needs
+ * three owned copies. Caps come from user_ownership rows ({ copies }); a unit
+ * with no row is uncapped (99), as in the single-deck builder.
+ */
+
+export const UNCAPPED = 99;
+
+let nextKey = 0;
+export const newRosterDeck = (name, deck = {}) => ({ key: `rd-${Date.now()}-${nextKey++}`, name, deck });
+
+/** { unit_id: copies used } over every deck in the roster, optionally skipping one deck */
+export function copiesUsed(decks, exceptKey = null) {
+  const used = {};
+  for (const d of decks) {
+    if (d.key === exceptKey) continue;
+    for (const [id, n] of Object.entries(d.deck || {})) used[id] = (used[id] || 0) + n;
+  }
+  return used;
+}
+
+/** Copies of a unit still free for deck `key` once the other decks have taken theirs */
+export function copiesLeft(decks, ownership, unitId, key) {
+  const owned = ownership[unitId]?.copies ?? UNCAPPED;
+  return Math.max(0, owned - (copiesUsed(decks, key)[unitId] || 0));
+}
+
+/** Units the roster needs more copies of than the collection has: [{ unit_id, used, owned }] */
+export function rosterShortfalls(decks, ownership) {
+  return Object.entries(copiesUsed(decks))
+    .map(([unit_id, used]) => ({ unit_id, used, owned: ownership[unit_id]?.copies ?? UNCAPPED }))
+    .filter((x) => x.used > x.owned);
+}
+
+/**
+ * Per-deck totals and legality plus the combined picture.
+ * deckCheck(deck) -> violations ([{ key, message }]) for one deck.
+ * -> { decks: [{ key, name, points, copies, violations }], points, copies, distinct, legal }
+ */
+export function rosterSummary(decks, unitsById, deckCheck) {
+  const rows = decks.map((d) => {
+    let points = 0;
+    let copies = 0;
+    for (const [id, n] of Object.entries(d.deck || {})) {
+      points += (unitsById.get(id)?.points || 0) * n;
+      copies += n;
+    }
+    return { key: d.key, name: d.name, points, copies, violations: deckCheck(d.deck || {}) };
+  });
+  return {
+    decks: rows,
+    points: rows.reduce((acc, r) => acc + r.points, 0),
+    copies: rows.reduce((acc, r) => acc + r.copies, 0),
+    distinct: Object.keys(copiesUsed(decks)).length,
+    legal: rows.every((r) => r.violations.length === 0),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Supabase session — persisted, refreshed, shared.
+ *
+ * Session shape: { access_token, refresh_token, expires_at (epoch seconds), user }.
+ * The store keeps the current session in localStorage so a reload stays signed in,
+ * refreshes it with the refresh_token (one request at a time, however many callers
+ * hit a 401 together) and tells subscribers (the App's setSession) about changes.
+ *
+ * The GoTrue calls themselves come from the `auth` object in supabase.js:
+ *   refresh(refresh_token) -> { access_token, refresh_token, expires_in, expires_at?, user }
+ *   signOut(access_token)
+ */
+
+const STORAGE_KEY = "sb_session";
+const AUTH_PARAMS = ["access_token", "refresh_token", "expires_in", "expires_at", "token_type", "type", "provider_token", "error", "error_code", "error_description"];
+
+/** Refresh this many seconds before the access token actually expires */
+export const REFRESH_MARGIN_S = 60;
+
+/** GoTrue token response (or magic-link params) -> session */
+export function toSession(tokens, user) {
+  const expiresAt = Number(tokens.expires_at) || Math.floor(Date.now() / 1000) + (Number(tokens.expires_in) || 3600);
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || null,
+    expires_at: expiresAt,
+    user: user || tokens.user || null,
+  };
+}
+
+/**
+ * Magic-link redirect params from the hash (or query): { access_token, refresh_token, ... }
+ * or { error } when GoTrue redirected with an error; null when there is nothing auth-related.
+ */
+export function readAuthParams(location = window.location) {
+  const fromHash = new URLSearchParams(location.hash.replace(/^#/, ""));
+  const fromQuery = new URLSearchParams(location.search);
+  const get = (k) => fromHash.get(k) || fromQuery.get(k);
+  if (get("error") || get("error_description")) return { error: (get("error_description") || get("error")).replace(/\+/g, " ") };
+  if (!get("access_token")) return null;
+  return {
+    access_token: get("access_token"),
+    refresh_token: get("refresh_token"),
+    expires_in: get("expires_in"),
+    expires_at: get("expires_at"),
+  };
+}
+
+/** Current URL without the auth params (other query params such as ?deck= are kept) */
+export function urlWithoutAuthParams(location = window.location) {
+  const url = new URL(location.href);
+  AUTH_PARAMS.forEach((k) => url.searchParams.delete(k));
+  const hash = new URLSearchParams(url.hash.replace(/^#/, ""));
+  if (AUTH_PARAMS.some((k) => hash.has(k))) url.hash = "";
+  return url.toString();
+}
+
+export function createSessionStore({ refresh, signOut, storage = window.localStorage }) {
+  let current = null;
+  let inflight = null;
+  const listeners = new Set();
+
+  try { current = JSON.parse(storage.getItem(STORAGE_KEY) || "null"); } catch { current = null; }
+
+  const set = (session) => {
+    current = session;
+    if (session) storage.setItem(STORAGE_KEY, JSON.stringify(session));
+    else storage.removeItem(STORAGE_KEY);
+    listeners.forEach((fn) => fn(session));
+    return session;
+  };
+
+  const store = {
+    get: () => current,
+    set,
+    /** fn(session | null) on every change; returns an unsubscribe function */
+    subscribe: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+    expiresSoon: (session = current) => !!session && session.expires_at - REFRESH_MARGIN_S <= Date.now() / 1000,
+
+    /**
+     * Swap the refresh_token for a new session. Concurrent callers share one request.
+     * Resolves to the new session, or null (and signs out locally) if it cannot be refreshed.
+     */
+    refresh: () => {
+      if (inflight) return inflight;
+      const session = current;
+      if (!session?.refresh_token) return Promise.resolve(null);
+      inflight = refresh(session.refresh_token)
+        .then((tokens) => set(toSession(tokens, tokens.user || session.user)))
+        .catch((e) => {
+          // an expired/revoked refresh token means signing in again; a network error keeps the session
+          if (e?.code === 400 || e?.code === 401) set(null);
+          return null;
+        })
+        .finally(() => { inflight = null; });
+      return inflight;
+    },
+
+    /** Session that is valid for at least REFRESH_MARGIN_S more seconds, or null */
+    fresh: async () => (store.expiresSoon() ? store.refresh() : current),
+
+    signOut: async () => {
+      const session = current;
+      set(null);
+      if (session?.access_token) {
+        try { await signOut(session.access_token); } catch { /* token is gone locally either way */ }
+      }
+    },
+  };
+  return store;
+}
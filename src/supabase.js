@@ -0,0 +1,321 @@
+/**
+ * Supabase access over plain fetch — PostgREST (rest/v1) and GoTrue (auth/v1).
+ *
+ * createSupabase({ url, anonKey, fetch?, storage?, redirectTo? }) builds the
+ * client the App uses; `fetch` and `storage` can be swapped for fakes, which is
+ * how test/ runs it without a live project.
+ */
+
+import { joinUnitStats } from "./deckLogic.js";
+import { markNetworkError } from "./offline.js";
+import { createSessionStore } from "./session.js";
+
+/** Rows per request when paging through a table */
+export const PAGE_SIZE = 1000;
+
+/** Extract seconds to wait from a Supabase error message. */
+export function parseWaitSeconds(msg) {
+  if (!msg || typeof msg !== "string") return null;
+  // e.g. "For security purposes, you can only request this after 54 seconds."
+  const m = msg.match(/(\d+)\s*(?:seconds?|secs?|s)\b/i);
+  if (m) return parseInt(m[1], 10);
+  // If the message says "1 minute" etc., convert to seconds
+  const m2 = msg.match(/(\d+)\s*(?:minutes?|mins?|m)\b/i);
+  if (m2) return parseInt(m2[1], 10) * 60;
+  return null;
+}
+
+export function createSupabase({
+  url,
+  anonKey,
+  fetch: fetchImpl = (...args) => fetch(...args),
+  storage = globalThis.localStorage,
+  redirectTo = () => `${window.location.origin}/`,
+}) {
+  // fetch() rejecting (as opposed to an HTTP error status) means the network is down, see isNetworkError
+  const send = (href, init) => fetchImpl(href, init).catch((e) => { throw markNetworkError(e); });
+
+  // HTTP error -> Error with the response text, plus the status and the PostgREST error code
+  const httpError = async (res) => {
+    const text = await res.text();
+    const err = new Error(text);
+    err.status = res.status;
+    try { err.code = JSON.parse(text).code; } catch { /* not JSON */ }
+    return err;
+  };
+
+  const rest = async (path, init = {}) => {
+    const headers = {
+      apikey: anonKey,
+      Authorization: `Bearer ${anonKey}`,
+      Accept: "application/json",
+      ...init.headers,
+    };
+    const res = await send(`${url}/rest/v1/${path}`, { ...init, headers });
+    if (!res.ok) throw await httpError(res);
+    return await res.json();
+  };
+
+  // GET every row of a query, up to PAGE_SIZE at a time, so big tables aren't cut off by the
+  // server's max-rows setting. Pages until one comes back empty: a max-rows below pageSize
+  // makes every page short. `path` must have a stable order=... for paging to be exact.
+  const restAll = async (path, pageSize = PAGE_SIZE) => {
+    const out = [];
+    for (;;) {
+      const page = await rest(`${path}&limit=${pageSize}&offset=${out.length}`);
+      if (!page.length) return out;
+      for (const row of page) out.push(row);
+    }
+  };
+
+  // Row count of a table (HEAD + count=exact)
+  const restCount = async (table) => {
+    const res = await send(`${url}/rest/v1/${table}?select=*`, {
+      method: "HEAD",
+      headers: {
+        apikey: anonKey,
+        Authorization: `Bearer ${anonKey}`,
+        Prefer: "count=exact",
+      },
+    });
+    if (!res.ok) throw new Error(`${table}: HTTP ${res.status}`);
+    return (res.headers.get("content-range") || "").split("/")[1] || "?";
+  };
+
+  // Newest updated_at of a table, "" when it is empty or has no such column yet (Postgres 42703;
+  // see supabase/migrations) — the row counts alone then version the catalog, as they used to
+  const latestUpdate = async (table) => {
+    try {
+      return (await rest(`${table}?select=updated_at&order=updated_at.desc.nullslast&limit=1`))[0]?.updated_at || "";
+    } catch (e) {
+      if (e?.code === "42703") return "";
+      throw e;
+    }
+  };
+
+  // Supabase GoTrue (magic link) with friendly errors + rate-limit info
+  const auth = {
+    signInMagic: async (email) => {
+      // Always send an explicit redirect URL so the magic link doesn't default to localhost:3000
+      const REDIRECT = redirectTo(); // e.g. http://localhost:5173/
+      const body = {
+        email,
+        create_user: true,
+        // Works with newer GoTrue: options.email_redirect_to
+        options: { email_redirect_to: REDIRECT },
+        // Works with older versions too: redirect_to at top-level
+        redirect_to: REDIRECT,
+      };
+
+      const res = await send(`${url}/auth/v1/magiclink`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          apikey: anonKey,
+          Authorization: `Bearer ${anonKey}`,
+        },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        const text = await res.text();
+        let payload = {};
+        try { payload = JSON.parse(text); } catch { payload = { msg: text }; }
+        const err = new Error(payload.msg || "Sign-in failed");
+        err.code = res.status;
+        err.error_code = payload.error_code;
+        err.wait = parseWaitSeconds(payload.msg);
+        throw err;
+      }
+    },
+    getUser: async (accessToken) => {
+      const res = await send(`${url}/auth/v1/user`, {
+        headers: {
+          apikey: anonKey,
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+      if (!res.ok) return null;
+      return await res.json();
+    },
+    refresh: async (refreshToken) => {
+      const res = await send(`${url}/auth/v1/token?grant_type=refresh_token`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          apikey: anonKey,
+        },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      });
+      if (!res.ok) {
+        const err = new Error("Session refresh failed");
+        err.code = res.status;
+        throw err;
+      }
+      return await res.json();
+    },
+    signOut: async (accessToken) => {
+      await send(`${url}/auth/v1/logout`, {
+        method: "POST",
+        headers: {
+          apikey: anonKey,
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    },
+  };
+
+  // The signed-in session, persisted and refreshed (see session.js)
+  const sessionStore = createSessionStore({ refresh: auth.refresh, signOut: auth.signOut, storage });
+
+  // Same as rest(), but as the signed-in user so row-level security applies.
+  // On 401 the session is refreshed once and the request retried with the new token.
+  // PATCH/DELETE usually come back with an empty body, which resolves to null.
+  const restAs = async (token, path, init = {}) => {
+    const sendAs = (t) => send(`${url}/rest/v1/${path}`, {
+      ...init,
+      headers: {
+        apikey: anonKey,
+        Authorization: `Bearer ${t}`,
+        Accept: "application/json",
+        ...(init.body ? { "Content-Type": "application/json" } : {}),
+        ...init.headers,
+      },
+    });
+    let res = await sendAs(token);
+    if (res.status === 401) {
+      const fresh = await sessionStore.refresh();
+      if (fresh) res = await sendAs(fresh.access_token);
+    }
+    if (res.status === 401) throw new Error("Your session has expired — please sign in again");
+    if (!res.ok) throw await httpError(res);
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  // Saved decks (decks + deck_units) for the signed-in user
+  const deckStore = {
+    list: (token, userId) =>
+      restAs(token, `decks?select=id,name,description,point_cap,faction_rule,visibility,created_at,deck_units(unit_id,count)&user_id=eq.${userId}&order=created_at.desc`),
+    insert: async (token, row) => {
+      const [deckRow] = await restAs(token, "decks", {
+        method: "POST",
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify(row),
+      });
+      return deckRow;
+    },
+    update: (token, id, patch) =>
+      restAs(token, `decks?id=eq.${id}`, { method: "PATCH", body: JSON.stringify(patch) }),
+    // Overwrite the unit list of a deck: drop the old rows, insert the current ones
+    replaceUnits: async (token, id, deck) => {
+      await restAs(token, `deck_units?deck_id=eq.${id}`, { method: "DELETE" });
+      const payload = Object.entries(deck).map(([unit_id, count]) => ({ deck_id: id, unit_id, count }));
+      if (payload.length) {
+        await restAs(token, "deck_units", {
+          method: "POST",
+          headers: { Prefer: "resolution=merge-duplicates" },
+          body: JSON.stringify(payload),
+        });
+      }
+    },
+    remove: async (token, id) => {
+      await restAs(token, `deck_units?deck_id=eq.${id}`, { method: "DELETE" });
+      await restAs(token, `decks?id=eq.${id}`, { method: "DELETE" });
+    },
+  };
+
+  // The project has no such table: PostgREST answers 404 / PGRST205, Postgres 42P01
+  const isMissingTable = (e) => e?.status === 404 || e?.code === "PGRST205" || e?.code === "42P01";
+
+  /**
+   * A per-user table, kept in storage under "<table>:<user id | anon>" when signed out or
+   * when the project has no such table. Any other server error is thrown, so a failed save
+   * is never reported as saved.
+   *  key "name": rows are upserted on (user_id, name)
+   *  key "id":   rows with an id are updated, rows without one inserted (local ids are "local-...")
+   */
+  const userStore = ({ table, select, key = "name" }) => {
+    const localKey = (session) => `${table}:${session?.user?.id || "anon"}`;
+    const readLocal = (session) => {
+      try { return JSON.parse(storage.getItem(localKey(session)) || "[]"); } catch { return []; }
+    };
+    const writeLocal = (session, list) => storage.setItem(localKey(session), JSON.stringify(list));
+    // fn(token, userId) against the server; false when the rows live in storage instead
+    const remote = async (session, fn) => {
+      if (!session) return false;
+      try { return { value: await fn(session.access_token, session.user.id) }; } catch (e) {
+        if (isMissingTable(e)) return false;
+        throw e;
+      }
+    };
+    // POST a new row (an upsert when keyed by name); resolves to the stored row
+    const insert = async (token, userId, row) => {
+      const [stored] = await restAs(token, key === "name" ? `${table}?on_conflict=user_id,name` : table, {
+        method: "POST",
+        headers: { Prefer: key === "name" ? "resolution=merge-duplicates,return=representation" : "return=representation" },
+        body: JSON.stringify({ ...row, user_id: userId }),
+      });
+      return stored;
+    };
+    return {
+      list: async (session) => {
+        const r = await remote(session, (token, userId) => restAs(token, `${table}?select=${select}&user_id=eq.${userId}&order=name`));
+        return r ? r.value : readLocal(session);
+      },
+      save: async (session, row) => {
+        const r = await remote(session, (token, userId) => {
+          if (key === "id" && row.id) return restAs(token, `${table}?id=eq.${row.id}`, { method: "PATCH", body: JSON.stringify(row) });
+          return insert(token, userId, row);
+        });
+        if (r) return;
+        const stored = key === "id" && !row.id ? { ...row, id: `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` } : row;
+        writeLocal(session, [...readLocal(session).filter((x) => x[key] !== stored[key]), stored]);
+      },
+      remove: async (session, value) => {
+        const r = await remote(session, (token, userId) =>
+          restAs(token, `${table}?user_id=eq.${userId}&${key}=eq.${encodeURIComponent(value)}`, { method: "DELETE" }));
+        if (!r) writeLocal(session, readLocal(session).filter((x) => x[key] !== value));
+      },
+      /**
+       * Move the rows saved while signed out into the account of `session`, dropping each one
+       * from the signed-out list once stored. Stops at the first failure; returns
+       * { claimed: [{ from, to }], failed }, `to` being the stored row (with its server id when keyed by id).
+       */
+      claimLocal: async (session) => {
+        const claimed = [];
+        if (!session) return { claimed, failed: null };
+        for (const row of readLocal(null)) {
+          const { id, ...fields } = row; // a local id is replaced by the server's
+          let r;
+          try {
+            r = await remote(session, (token, userId) => insert(token, userId, key === "id" ? fields : row));
+          } catch (e) {
+            return { claimed, failed: e };
+          }
+          if (!r) writeLocal(session, [...readLocal(session).filter((x) => x[key] !== row[key]), row]);
+          writeLocal(null, readLocal(null).filter((x) => x[key] !== row[key]));
+          claimed.push({ from: row, to: r ? r.value : row });
+        }
+        return { claimed, failed: null };
+      },
+    };
+  };
+
+  const catalog = {
+    /**
+     * Row count + newest updated_at of units and unit_stats; a change means the cached catalog
+     * is stale. With the updated_at columns and triggers from supabase/migrations, edits
+     * invalidate the cache as well as inserts and deletes; without them only the counts do.
+     */
+    version: async () => (await Promise.all([
+      restCount("units"), latestUpdate("units"), restCount("unit_stats"), latestUpdate("unit_stats"),
+    ])).join(":"),
+    /** Every unit joined with its unit_stats row */
+    fetch: async () => joinUnitStats(
+      await restAll("units?select=id,name,nation,type,year,points,set_name,rarity,abilities&order=id"),
+      await restAll("unit_stats?select=*&order=unit_id"),
+    ),
+  };
+
+  return { rest, restAll, restCount, restAs, auth, sessionStore, deckStore, userStore, catalog };
+}
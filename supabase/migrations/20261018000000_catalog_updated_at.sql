@@ -0,0 +1,22 @@
+-- updated_at on the catalog tables, kept current by a moddatetime trigger, so the app's
+-- catalog version (catalog.version in src/supabase.js) changes when a row is edited,
+-- not only when rows are added or removed.
+
+create extension if not exists moddatetime schema extensions;
+
+alter table public.units add column if not exists updated_at timestamptz not null default now();
+alter table public.unit_stats add column if not exists updated_at timestamptz not null default now();
+
+-- the version check reads the newest value of each table
+create index if not exists units_updated_at_idx on public.units (updated_at desc);
+create index if not exists unit_stats_updated_at_idx on public.unit_stats (updated_at desc);
+
+drop trigger if exists units_set_updated_at on public.units;
+create trigger units_set_updated_at
+  before update on public.units
+  for each row execute procedure extensions.moddatetime (updated_at);
+
+drop trigger if exists unit_stats_set_updated_at on public.unit_stats;
+create trigger unit_stats_set_updated_at
+  before update on public.unit_stats
+  for each row execute procedure extensions.moddatetime (updated_at);
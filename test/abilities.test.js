@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { parseAbilities } from "../src/abilities.js";
+
+describe("parseAbilities", () => {
+  it("splits names and values, keeping commas inside parentheses", () => {
+    const a = parseAbilities("Aircraft Carrier 2, Flagship (1, night), Radar");
+    expect(a.map(({ name, value }) => [name, value])).toEqual([["Aircraft Carrier", "2"], ["Flagship", "1, night"], ["Radar", null]]);
+  });
+
+  it("looks up glossary entries case-insensitively", () => {
+    expect(parseAbilities("radar")[0].description).toBeTruthy();
+    expect(parseAbilities("Made-up Ability")[0].description).toBeNull();
+  });
+
+  it("is empty for missing abilities", () => {
+    expect(parseAbilities("")).toEqual([]);
+    expect(parseAbilities(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { discoverColumns, fleetAnalytics } from "../src/analytics.js";
+
+const destroyer = { id: "1", type: "Destroyer", nation: "Japan", points: 10, stats: { gunnery_1: 2, torpedo_1: 4, effective_gunnerytotal_1: 1.5, armor: 3, hull_points: 2, speed: "Fast" } };
+
+describe("fleetAnalytics", () => {
+  const a = fleetAnalytics([{ unit: destroyer, count: 2 }], discoverColumns([destroyer]));
+
+  it("sums attack per category and range over copies", () => {
+    expect(a.attack.gunnery[1]).toBe(4);
+    expect(a.attack.torpedo[1]).toBe(8);
+    expect(a.attack.effective[1]).toBe(3);
+  });
+
+  it("sums defense, counts speed and points by type", () => {
+    expect(a.defense.armor).toBe(6);
+    expect(a.defense.hull).toBe(4);
+    expect(a.speed.Fast).toBe(2);
+    expect(a.pointsByType.Destroyer).toBe(20);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { rollHits, seededRandom, simulateRange } from "../src/battleSim.js";
+
+const columns = { attack: { gunnery: { 1: ["gunnery_1"] } }, defense: { armor: ["armor"], vital: ["vital_armor"], hull: ["hull_points"] } };
+const big = { id: "big", type: "Battleship", stats: { gunnery_1: 12, armor: 5, vital_armor: 9, hull_points: 4 } };
+const small = { id: "small", type: "Destroyer", stats: { gunnery_1: 2, armor: 2, vital_armor: 4, hull_points: 1 } };
+
+describe("battleSim", () => {
+  it("scores 2/3 of a hit per die on average", () => {
+    const rand = seededRandom(1);
+    let total = 0;
+    for (let i = 0; i < 6000; i++) total += rollHits(1, rand);
+    expect(Math.abs(total / 6000 - 4 / 6)).toBeLessThan(0.05);
+  });
+
+  it("is repeatable with the same seed", () => {
+    const run = () => simulateRange({ a: [{ unit: big, count: 1 }], b: [{ unit: small, count: 2 }], columns, range: 1, trials: 50, rand: seededRandom(7) });
+    expect(run()).toEqual(run());
+  });
+
+  it("has a battleship beat a destroyer", () => {
+    const res = simulateRange({ a: [{ unit: big, count: 1 }], b: [{ unit: small, count: 1 }], columns, range: 1, trials: 200, rand: seededRandom(2) });
+    expect(res.b.wiped).toBeGreaterThan(0.9);
+    expect(res.a.wiped).toBe(0);
+    expect(res.a.dealt).toBe(res.b.taken);
+  });
+});
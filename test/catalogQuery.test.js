@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_FILTERS, activeFilterCount, applyFilters, sortUnits } from "../src/catalogQuery.js";
+
+const units = [
+  { id: "1", name: "Yukikaze", nation: "Japan", type: "Destroyer", points: 14, year: 1940, abilities: "Torpedo Attack", stats: { effective_gunnerytotal_2: 1 } },
+  { id: "2", name: "Yamato", nation: "Japan", type: "Battleship", points: 80, year: 1941, abilities: "Flagship", stats: { effective_gunnerytotal_2: 9 } },
+];
+const q = (query) => applyFilters(units, { query }).map((u) => u.id).join();
+
+describe("catalog query", () => {
+  it("combines field terms, ability and point comparisons", () => {
+    expect(q("nation:japan type:destroyer has:torpedo points<=20")).toBe("1");
+  });
+
+  it("supports stat comparisons, negation, ranges and plain text", () => {
+    expect(q("eff2>=3")).toBe("2");
+    expect(q("-has:torpedo")).toBe("2");
+    expect(q("points:10..20")).toBe("1");
+    expect(q("yama")).toBe("2");
+  });
+
+  it("applies multi-select filters and counts the active ones", () => {
+    const filters = { ...EMPTY_FILTERS, types: ["Battleship"], yearMax: "1941" };
+    expect(applyFilters(units, filters).map((u) => u.id)).toEqual(["2"]);
+    expect(activeFilterCount(filters)).toBe(2);
+  });
+
+  it("sorts by points either way", () => {
+    expect(sortUnits(units, "points", "desc").map((u) => u.id)).toEqual(["2", "1"]);
+    expect(sortUnits(units, "points", "asc").map((u) => u.id)).toEqual(["1", "2"]);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { CUSTOM_SET, cleanStats, isCustomUnit, mergeCatalog, renameUnits, toCatalogUnit, validateCustomUnit } from "../src/customUnits.js";
+
+describe("custom units", () => {
+  it("turn stored rows into catalog units", () => {
+    const u = toCatalogUnit({ id: "7", name: "Graf Zeppelin II", nation: "Germany", type: "Carrier", year: "1944", points: "55", stats: { armor: 5 } });
+    expect(u).toMatchObject({ id: "custom-7", custom: true, year: 1944, points: 55, set_name: CUSTOM_SET });
+    expect(isCustomUnit(u)).toBe(true);
+  });
+
+  it("merge after the shared catalog, which stays as is without custom rows", () => {
+    const shared = [{ id: "1", name: "Bismarck" }];
+    expect(mergeCatalog(shared, [])).toBe(shared);
+    expect(mergeCatalog(shared, [{ id: "1", name: "Homebrew" }]).map((u) => u.id)).toEqual(["1", "custom-1"]);
+  });
+
+  it("follow new ids in a deck, merging counts that land on one id", () => {
+    expect(renameUnits({ "custom-local-1": 2, bismarck: 1, "custom-9": 1 }, { "custom-local-1": "custom-9" })).toEqual({ "custom-9": 3, bismarck: 1 });
+  });
+
+  it("validate the form and clean stat values", () => {
+    expect(validateCustomUnit({ name: "", points: "x" })).toHaveLength(2);
+    expect(validateCustomUnit({ name: "Raider", points: "12", year: "1941.5" })).toEqual(["Year must be a whole number"]);
+    expect(cleanStats({ armor: "4", speed: "Fast", x: "" })).toEqual({ armor: 4, speed: "Fast" });
+  });
+});
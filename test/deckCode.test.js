@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { decodeDeckCode, encodeDeckCode, validateImportedDeck } from "../src/deckCode.js";
+import { joinUnitStats } from "../src/deckLogic.js";
+import { STAT_ROWS, UNIT_ROWS } from "./fixtures/catalog.js";
+
+const units = joinUnitStats(UNIT_ROWS, STAT_ROWS);
+
+describe("deck codes", () => {
+  it("round-trips a deck with its cap and faction rule", () => {
+    const sample = { deck: { bismarck: 1, "z-1": 2 }, pointCap: 100, factionRule: "axis_only" };
+    expect(decodeDeckCode(encodeDeckCode(sample))).toEqual(sample);
+  });
+
+  it("rejects a code cut short when copied", () => {
+    const code = encodeDeckCode({ deck: { bismarck: 1, "z-1": 2 }, pointCap: 100, factionRule: "axis_only" });
+    for (const cut of [1, 4, 12]) expect(() => decodeDeckCode(code.slice(0, -cut))).toThrow(/corrupted/);
+  });
+
+  it("reads the code out of a share link", () => {
+    const code = encodeDeckCode({ deck: { hood: 1 }, pointCap: 50, factionRule: "allies_only" });
+    expect(decodeDeckCode(`https://app.test/?deck=${code}`).deck).toEqual({ hood: 1 });
+  });
+
+  it("rejects malformed codes with a readable message", () => {
+    expect(() => decodeDeckCode("")).toThrow(/Paste a deck code/);
+    expect(() => decodeDeckCode("9.abc")).toThrow(/Unsupported deck code version 9/);
+    expect(() => decodeDeckCode("1.!!!")).toThrow(/corrupted/);
+  });
+
+  it("reports unknown units and clamps copies to the collection", () => {
+    const imported = decodeDeckCode(encodeDeckCode({ deck: { bismarck: 3, ghost: 1 }, pointCap: 100, factionRule: "axis_only" }));
+    const report = validateImportedDeck(imported, units, { bismarck: { copies: 2 } });
+    expect(report.deck).toEqual({ bismarck: 2 });
+    expect(report.unknown).toEqual([{ id: "ghost", count: 1 }]);
+    expect(report.overCopies[0]).toMatchObject({ requested: 3, allowed: 2 });
+    expect(report).toMatchObject({ points: 80, overCap: false });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_HISTORY, HISTORY_LIMIT, diffDecks, record, redo, undo } from "../src/deckHistory.js";
+
+describe("undo / redo", () => {
+  it("steps back and forward through recorded decks", () => {
+    let h = EMPTY_HISTORY;
+    h = record(h, {});
+    h = record(h, { a: 1 });
+    const u = undo(h, { a: 2 });
+    expect(u.deck).toEqual({ a: 1 });
+    expect(redo(u.history, u.deck).deck).toEqual({ a: 2 });
+    expect(undo(undo(u.history, u.deck).history, {})).toBeFalsy();
+  });
+
+  it("keeps at most HISTORY_LIMIT steps", () => {
+    let h = EMPTY_HISTORY;
+    for (let i = 0; i < HISTORY_LIMIT + 10; i++) h = record(h, { a: i });
+    expect(h.past).toHaveLength(HISTORY_LIMIT);
+  });
+});
+
+describe("diffDecks", () => {
+  it("lists added units and the point and damage change", () => {
+    const units = new Map([["a", { id: "a", name: "A", points: 10, stats: { effective_gunnerytotal_1: 2 } }]]);
+    const d = diffDecks({ a: 1 }, { a: 3, b: 1 }, units);
+    expect(d.added).toHaveLength(2);
+    expect(d.points).toBe(20);
+    expect(d.eff[1]).toBe(4);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_FILTERS } from "../src/catalogQuery.js";
+import { mergeCatalog } from "../src/customUnits.js";
+import {
+  canAddWith, catalogView, copiesCap, deckItemsOf, deckLegality, deckTotals,
+  indexUnits, joinUnitStats, legalityContext, recommendFleets, unitFaction,
+} from "../src/deckLogic.js";
+import { createFactionRegistry } from "../src/factions.js";
+import { findFormat } from "../src/formats.js";
+import { findObjective, DEFAULT_WEIGHTS } from "../src/optimizer.js";
+import { UNCAPPED } from "../src/roster.js";
+import { STAT_ROWS, UNIT_ROWS } from "./fixtures/catalog.js";
+
+const units = joinUnitStats(UNIT_ROWS, STAT_ROWS);
+const unitsById = indexUnits(units);
+const registry = createFactionRegistry();
+const byId = (id) => unitsById.get(id);
+
+const view = (opts = {}) => catalogView(units, {
+  filters: EMPTY_FILTERS, sortId: "points", sortDir: "desc", factionRule: "mixed",
+  ownedOnly: false, ownership: {}, registry, format: findFormat("custom"), ...opts,
+});
+
+const context = (opts = {}) => legalityContext({ format: findFormat("custom"), pointCap: 100, factionRule: "axis_only", registry, ...opts });
+
+describe("catalog join", () => {
+  it("attaches each unit's stats row", () => {
+    expect(units).toHaveLength(UNIT_ROWS.length);
+    expect(byId("bismarck").stats.effective_gunnerytotal_0).toBe(12);
+    expect(byId("bismarck").name).toBe("Bismarck");
+  });
+
+  it("gives units without a stats row empty stats", () => {
+    expect(byId("no-stats").stats).toEqual({});
+  });
+
+  it("keeps custom units apart from catalog ids after a merge", () => {
+    const merged = mergeCatalog(units, [{ id: "1", name: "Homebrew Monitor", nation: "Germany", points: 7, stats: {} }]);
+    expect(merged).toHaveLength(units.length + 1);
+    expect(indexUnits(merged).get("custom-1").custom).toBe(true);
+  });
+});
+
+describe("faction resolution", () => {
+  it("resolves by nation", () => {
+    expect(unitFaction(registry, byId("bismarck"))).toBe("Axis");
+    expect(unitFaction(registry, byId("hood"))).toBe("Allies");
+  });
+
+  it("uses the unit's year for nations that changed sides", () => {
+    expect(unitFaction(registry, byId("littorio"))).toBe("Axis");
+    expect(unitFaction(registry, byId("legionario"))).toBe("Allies");
+  });
+
+  it("returns null for unmapped nations", () => {
+    expect(unitFaction(registry, byId("no-stats"))).toBeNull();
+  });
+});
+
+describe("deck items and totals", () => {
+  it("drops ids missing from the catalog", () => {
+    const items = deckItemsOf({ bismarck: 1, "gone-unit": 2 }, unitsById);
+    expect(items.map((x) => x.unit.id)).toEqual(["bismarck"]);
+  });
+
+  it("sums points, copies and effective damage by range", () => {
+    const totals = deckTotals(deckItemsOf({ bismarck: 1, "z-1": 2, "no-stats": 1 }, unitsById));
+    expect(totals.points).toBe(40 + 2 * 10 + 4);
+    expect(totals.copies).toBe(4);
+    expect(totals.effectiveByRange).toEqual({ 0: 20, 1: 16, 2: 8, 3: 6 });
+  });
+
+  it("is all zeros for an empty deck", () => {
+    expect(deckTotals([])).toEqual({ points: 0, copies: 0, effectiveByRange: { 0: 0, 1: 0, 2: 0, 3: 0 } });
+  });
+
+  it("caps copies by ownership, uncapped without a row", () => {
+    expect(copiesCap({ bismarck: { owned: true, copies: 1 } }, byId("bismarck"))).toBe(1);
+    expect(copiesCap({}, byId("bismarck"))).toBe(UNCAPPED);
+  });
+});
+
+describe("legality", () => {
+  it("accepts a legal deck", () => {
+    const result = deckLegality(context(), deckItemsOf({ bismarck: 1, "z-1": 2 }, unitsById));
+    expect(result).toEqual({ violations: [], legal: true });
+  });
+
+  it("names the point cap and faction violations", () => {
+    const result = deckLegality(context({ pointCap: 60 }), deckItemsOf({ bismarck: 1, hood: 1 }, unitsById));
+    expect(result.legal).toBe(false);
+    expect(result.violations.map((v) => v.rule).sort()).toEqual(["faction", "pointCap"]);
+    expect(result.violations.find((v) => v.rule === "faction").unitId).toBe("hood");
+  });
+
+  it("applies a format's own rules", () => {
+    const ctx = context({ format: findFormat("early_war"), factionRule: "mixed" });
+    const result = deckLegality(ctx, deckItemsOf({ "bf-109": 1, legionario: 1 }, unitsById));
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0]).toMatchObject({ rule: "years", unitId: "legionario" });
+  });
+
+  it("refuses a copy that breaks or worsens a rule", () => {
+    const ctx = context({ pointCap: 48 });
+    const items = deckItemsOf({ bismarck: 1 }, unitsById);
+    expect(canAddWith(ctx, items, byId("bf-109"))).toBe(true);
+    expect(canAddWith(ctx, items, byId("z-1"))).toBe(false);
+    expect(canAddWith(ctx, items, byId("hood"))).toBe(false);
+  });
+
+  it("uses the sets picked in the UI for set-restricted play", () => {
+    const ctx = context({ format: findFormat("set_restricted"), selectedSets: ["Base Set"] });
+    expect(canAddWith(ctx, [], byId("bismarck"))).toBe(true);
+    expect(canAddWith(ctx, [], byId("bf-109"))).toBe(false);
+  });
+});
+
+describe("catalog view", () => {
+  it("sorts the whole catalog with mixed factions", () => {
+    expect(view().map((u) => u.id)[0]).toBe("bismarck");
+    expect(view()).toHaveLength(units.length);
+  });
+
+  it("keeps only the chosen side", () => {
+    const ids = view({ factionRule: "allies_only" }).map((u) => u.id).sort();
+    expect(ids).toEqual(["hood", "legionario"]);
+  });
+
+  it("keeps owned units and custom units when owned-only is on", () => {
+    const merged = mergeCatalog(units, [{ id: "1", name: "Homebrew Monitor", nation: "Germany", points: 7, stats: {} }]);
+    const ownership = { bismarck: { owned: true, copies: 1 }, hood: { owned: false, copies: 0 } };
+    const ids = catalogView(merged, {
+      filters: EMPTY_FILTERS, sortId: "name", sortDir: "asc", factionRule: "mixed",
+      ownedOnly: true, ownership, registry, format: findFormat("custom"),
+    }).map((u) => u.id);
+    expect(ids).toEqual(["bismarck", "custom-1"]);
+  });
+
+  it("hides custom units from formats without homebrew", () => {
+    const merged = mergeCatalog(units, [{ id: "1", name: "Homebrew Monitor", nation: "Germany", points: 7, stats: {} }]);
+    const opts = { filters: EMPTY_FILTERS, sortId: "name", sortDir: "asc", factionRule: "mixed", ownedOnly: false, ownership: {}, registry };
+    expect(catalogView(merged, { ...opts, format: findFormat("early_war") }).some((u) => u.custom)).toBe(false);
+    expect(catalogView(merged, { ...opts, format: findFormat("custom") }).some((u) => u.custom)).toBe(true);
+  });
+
+  it("applies text and range filters", () => {
+    expect(view({ filters: { ...EMPTY_FILTERS, query: "type:destroyer" } }).map((u) => u.id).sort()).toEqual(["legionario", "z-1"]);
+    expect(view({ filters: { ...EMPTY_FILTERS, pointsMax: "10" } }).every((u) => u.points <= 10)).toBe(true);
+  });
+});
+
+describe("recommend", () => {
+  const damage = findObjective("damage");
+  const valueOf = (u) => damage.value(u, DEFAULT_WEIGHTS);
+  const recommend = (opts = {}) => {
+    const ctx = opts.context || context();
+    return recommendFleets({
+      pool: view({ factionRule: "axis_only" }), units, deck: {}, completeDeck: false, context: ctx,
+      valueOf, balance: 0, copiesOf: (u) => copiesCap(opts.ownership || {}, u), pointCap: 100, ...opts,
+    });
+  };
+
+  it("returns legal fleets within the cap, best first", () => {
+    const fleets = recommend();
+    expect(fleets.length).toBeGreaterThan(0);
+    fleets.forEach((f) => {
+      expect(f.points).toBeLessThanOrEqual(100);
+      expect(deckLegality(context(), f.items).legal).toBe(true);
+    });
+    const scores = fleets.map((f) => f.score);
+    expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+  });
+
+  it("respects owned copies", () => {
+    const ownership = { bismarck: { owned: true, copies: 1 }, "z-1": { owned: true, copies: 1 }, "bf-109": { owned: true, copies: 2 } };
+    recommend({ ownership }).forEach((f) => {
+      Object.entries(f.deck).forEach(([id, n]) => expect(n).toBeLessThanOrEqual(ownership[id]?.copies ?? UNCAPPED));
+    });
+  });
+
+  it("completes a started deck without dropping its units", () => {
+    const [best] = recommend({ deck: { littorio: 1 }, completeDeck: true });
+    expect(best.deck.littorio).toBeGreaterThanOrEqual(1);
+    expect(best.points).toBeLessThanOrEqual(100);
+  });
+
+  it("never picks units the format forbids", () => {
+    const ctx = context({ format: findFormat("early_war"), factionRule: "mixed" });
+    const fleets = recommend({ context: ctx, pool: view() });
+    fleets.forEach((f) => expect(deckLegality(ctx, f.items).legal).toBe(true));
+    fleets.forEach((f) => expect(f.deck.legionario).toBeUndefined());
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { createFactionRegistry, deckFaction } from "../src/factions.js";
+
+const reg = createFactionRegistry();
+
+describe("faction registry", () => {
+  it("resolves nations that changed sides by year", () => {
+    expect(reg.factionOf("Italy", 1941)).toBe("Axis");
+    expect(reg.factionOf("Italy", 1944)).toBe("Allies");
+    expect(reg.factionOf("Italy")).toBe("Axis");
+  });
+
+  it("knows aliases, ignores case and returns null for unmapped nations", () => {
+    expect(reg.factionOf("USA")).toBe("Allies");
+    expect(reg.factionOf("vichy france")).toBe("Axis");
+    expect(reg.factionOf("Atlantis")).toBeNull();
+    expect(reg.isMapped("Atlantis")).toBe(false);
+  });
+});
+
+describe("deckFaction", () => {
+  it("is the common side, or Mixed with unmapped nations listed", () => {
+    const ship = (nation, year) => ({ unit: { nation, year }, count: 1 });
+    expect(deckFaction([ship("Germany"), ship("Italy", 1942)], reg)).toEqual({ faction: "Axis", unmapped: [] });
+    expect(deckFaction([ship("Germany"), ship("Italy", 1944)], reg).faction).toBe("Mixed");
+    expect(deckFaction([ship("Atlantis")], reg)).toEqual({ faction: "Mixed", unmapped: ["Atlantis"] });
+  });
+});
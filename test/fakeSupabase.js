@@ -0,0 +1,99 @@
+/**
+ * In-memory stand-ins for what createSupabase() talks to: a fetch that answers
+ * the PostgREST and GoTrue requests the app makes, and a Storage-like object.
+ *
+ * fakeBackend({ tables, accessTokens, refreshTokens, maxRows }) -> { fetch, calls, tables }
+ *   tables         { name: rows[] }, read with eq.<value> filters, order=<column>.asc|desc, limit and offset
+ *   accessTokens   bearer tokens accepted by user requests (anything else is a 401)
+ *   refreshTokens  { refresh_token: tokens } handed out by /auth/v1/token
+ *   maxRows        server-side row cap, like PostgREST's max-rows
+ *   missing        table names the project does not have (404, PGRST205)
+ *   denied         table names row-level security refuses (403, 42501)
+ *   noColumns      column names the tables do not have (400, 42703 when selected or ordered by)
+ * Every request is pushed to `calls` as { method, path, token, body }.
+ */
+
+export const URL_BASE = "https://fake.supabase.test";
+export const ANON_KEY = "anon-key";
+
+export function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: (k) => { data.delete(k); },
+    clear: () => data.clear(),
+  };
+}
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+export function fakeBackend({ tables = {}, accessTokens = [], refreshTokens = {}, maxRows = Infinity, missing = [], denied = [], noColumns = [] } = {}) {
+  const calls = [];
+  const valid = new Set(accessTokens);
+
+  const fetch = async (href, init = {}) => {
+    const url = new URL(href);
+    const method = init.method || "GET";
+    const token = (init.headers?.Authorization || "").replace(/^Bearer /, "");
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    const path = url.pathname.replace(/^\/(rest|auth)\/v1\//, "");
+    calls.push({ method, path: `${path}${url.search}`, token, body });
+
+    if (url.pathname.startsWith("/auth/v1/")) {
+      if (path === "token") {
+        const tokens = refreshTokens[body?.refresh_token];
+        if (!tokens) return json({ msg: "Invalid Refresh Token" }, 400);
+        valid.add(tokens.access_token);
+        return json(tokens);
+      }
+      if (path === "magiclink") return json({});
+      if (path === "logout") return new Response(null, { status: 204 });
+      if (path === "user") return valid.has(token) ? json({ id: "user-1", email: "admiral@example.com" }) : json({ msg: "invalid JWT" }, 401);
+      return json({ msg: "not found" }, 404);
+    }
+
+    // anon requests carry the anon key; anything else must be a live user token
+    if (token !== ANON_KEY && !valid.has(token)) return json({ message: "JWT expired" }, 401);
+
+    if (missing.includes(path)) return json({ code: "PGRST205", message: `Could not find the table 'public.${path}' in the schema cache` }, 404);
+    if (denied.includes(path)) return json({ code: "42501", message: `new row violates row-level security policy for table "${path}"` }, 403);
+
+    const asked = [...(url.searchParams.get("select") || "").split(","), (url.searchParams.get("order") || "").split(".")[0]];
+    const unknown = asked.find((c) => noColumns.includes(c));
+    if (unknown) return json({ code: "42703", message: `column ${path}.${unknown} does not exist` }, 400);
+
+    const rows = tables[path] || (tables[path] = []);
+    const filters = [...url.searchParams].filter(([, v]) => v.startsWith("eq."));
+    const matching = rows.filter((r) => filters.every(([k, v]) => String(r[k]) === v.slice(3)));
+
+    if (method === "HEAD") return new Response(null, { status: 200, headers: { "content-range": `0-${rows.length - 1}/${rows.length}` } });
+    if (method === "GET") {
+      const [column, dir] = (url.searchParams.get("order") || "").split(".");
+      if (column) {
+        const sign = dir === "desc" ? -1 : 1;
+        matching.sort((x, y) => (x[column] == null) - (y[column] == null) || sign * (x[column] < y[column] ? -1 : x[column] > y[column] ? 1 : 0));
+      }
+      const offset = Number(url.searchParams.get("offset") || 0);
+      const limit = Math.min(Number(url.searchParams.get("limit") || Infinity), maxRows);
+      return json(matching.slice(offset, offset + limit));
+    }
+    if (method === "DELETE") {
+      tables[path] = rows.filter((r) => !matching.includes(r));
+      return new Response(null, { status: 204 });
+    }
+    if (method === "PATCH") {
+      matching.forEach((r) => Object.assign(r, body));
+      return new Response(null, { status: 204 });
+    }
+    if (method === "POST") {
+      const added = (Array.isArray(body) ? body : [body]).map((r) => ({ id: r.id ?? `${path}-${rows.length + 1}`, ...r }));
+      rows.push(...added);
+      return /return=representation/.test(init.headers?.Prefer || "") ? json(added, 201) : new Response(null, { status: 201 });
+    }
+    return json({ message: "unsupported" }, 405);
+  };
+
+  return { fetch, calls, tables };
+}
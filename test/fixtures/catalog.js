@@ -0,0 +1,33 @@
+/**
+ * A small catalog in the shape of the Supabase `units` and `unit_stats` tables.
+ * Points and damage are chosen so totals and the recommender are easy to check by hand.
+ */
+
+export const UNIT_ROWS = [
+  { id: "bismarck", name: "Bismarck", nation: "Germany", type: "Battleship", year: 1940, points: 40, set_name: "Base Set", rarity: "Rare", abilities: "Unique, Flagship 1", updated_at: "2024-03-01T10:00:00Z" },
+  { id: "z-1", name: "Z-1 Leberecht Maass", nation: "Germany", type: "Destroyer", year: 1937, points: 10, set_name: "Base Set", rarity: "Common", abilities: "Torpedo Attack" },
+  { id: "bf-109", name: "Bf 109", nation: "Germany", type: "Aircraft", year: 1939, points: 5, set_name: "Flank Speed", rarity: "Common", abilities: "" },
+  { id: "littorio", name: "Littorio", nation: "Italy", type: "Battleship", year: 1940, points: 35, set_name: "Flank Speed", rarity: "Rare", abilities: "" },
+  { id: "legionario", name: "Legionario", nation: "Italy", type: "Destroyer", year: 1944, points: 12, set_name: "Condition Zero", rarity: "Uncommon", abilities: "" },
+  { id: "hood", name: "HMS Hood", nation: "United Kingdom", type: "Battlecruiser", year: 1920, points: 38, set_name: "Base Set", rarity: "Rare", abilities: "" },
+  { id: "no-stats", name: "Unknown Sloop", nation: "Atlantis", type: "Sloop", year: null, points: 4, set_name: "Base Set", rarity: "Common", abilities: "" },
+];
+
+const stats = (unit_id, g, extra = {}) => ({
+  unit_id,
+  effective_gunnerytotal_0: g[0],
+  effective_gunnerytotal_1: g[1],
+  effective_gunnerytotal_2: g[2],
+  effective_gunnerytotal_3: g[3],
+  updated_at: "2024-01-15T09:30:00Z",
+  ...extra,
+});
+
+export const STAT_ROWS = [
+  stats("bismarck", [12, 10, 8, 6], { armor: 6, vital_armor: 11, hull_points: 4 }),
+  stats("z-1", [4, 3, 0, 0], { armor: 3, vital_armor: 6, hull_points: 1 }),
+  stats("bf-109", [2, 0, 0, 0]),
+  stats("littorio", [11, 9, 7, 5], { armor: 6, vital_armor: 10, hull_points: 4 }),
+  stats("legionario", [4, 3, 1, 0], { armor: 3, vital_armor: 6, hull_points: 1 }),
+  stats("hood", [11, 9, 8, 5], { armor: 5, vital_armor: 10, hull_points: 4 }),
+];
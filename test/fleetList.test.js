@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { fleetToCsv, importFleetList } from "../src/fleetList.js";
+
+const units = [{ id: "1", name: "Bismarck", nation: "Germany" }, { id: "2", name: "U-47", nation: "Germany" }];
+
+describe("importFleetList", () => {
+  it("matches pasted text lines with fuzzy names and counts", () => {
+    const r = importFleetList("2x Bismark\nU-47 ×3\nHMS Nonexistent", units);
+    expect(r.deck).toEqual({ 1: 2, 2: 3 });
+    expect(r.unmatched).toHaveLength(1);
+  });
+
+  it("reads CSV with a header row", () => {
+    expect(importFleetList("name,count\n\"Bismarck\",1", units).deck).toEqual({ 1: 1 });
+  });
+
+  it("reads back its own CSV export", () => {
+    const csv = fleetToCsv([{ unit: { ...units[0], points: 40, stats: {} }, count: 2 }, { unit: { ...units[1], points: 8, stats: {} }, count: 1 }]);
+    expect(importFleetList(csv, units).deck).toEqual({ 1: 2, 2: 1 });
+  });
+});
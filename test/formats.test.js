@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { deckItemsOf, deckLegality, indexUnits, joinUnitStats, legalityContext } from "../src/deckLogic.js";
+import { createFactionRegistry } from "../src/factions.js";
+import { FORMATS, allowsHomebrew, canAdd, checkDeck, findFormat, rulesFor } from "../src/formats.js";
+import { STAT_ROWS, UNIT_ROWS } from "./fixtures/catalog.js";
+
+const unitsById = indexUnits(joinUnitStats(UNIT_ROWS, STAT_ROWS));
+const registry = createFactionRegistry();
+
+describe("formats", () => {
+  it("every format has an id, a name and known rule kinds", () => {
+    const kinds = new Set(["pointCap", "faction", "years", "sets", "maxCopies", "maxCount", "noHomebrew"]);
+    FORMATS.forEach((f) => {
+      expect(f.id && f.name).toBeTruthy();
+      f.rules.forEach((r) => expect(kinds.has(r.kind)).toBe(true));
+    });
+  });
+
+  it("falls back to the custom format for unknown ids", () => {
+    expect(findFormat("no-such-format").id).toBe("custom");
+  });
+
+  it("limits named ships to one copy in 150 Axis Historic", () => {
+    const format = findFormat("axis150_historic");
+    const ctx = legalityContext({ format, pointCap: format.pointCap, factionRule: format.factionRule, registry });
+    const result = deckLegality(ctx, deckItemsOf({ bismarck: 2, "z-1": 3 }, unitsById));
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0]).toMatchObject({ rule: "maxCopies", unitId: "bismarck", excess: 1 });
+  });
+
+  it("caps ships marked unique by ability, not by type", () => {
+    const ctx = legalityContext({ format: findFormat("unique_ships"), pointCap: 500, factionRule: "mixed", registry });
+    const cruiser = { id: "cl", name: "Generic Light Cruiser", nation: "Germany", type: "Light Cruiser", points: 15, abilities: "Radar" };
+    const uniqueDd = { id: "dd", name: "Z-23", nation: "Germany", type: "Destroyer", points: 12, abilities: "Unique, Torpedo Attack" };
+    expect(deckLegality(ctx, [{ unit: cruiser, count: 3 }]).legal).toBe(true);
+    expect(deckLegality(ctx, [{ unit: uniqueDd, count: 2 }]).violations[0]).toMatchObject({ rule: "maxCopies", unitId: "dd" });
+    expect(deckLegality(ctx, deckItemsOf({ hood: 2 }, unitsById)).legal).toBe(true);
+  });
+
+  it("does not treat Flagship as unique", () => {
+    const ctx = legalityContext({ format: findFormat("unique_ships"), pointCap: 500, factionRule: "mixed", registry });
+    const flagship = { id: "ca", name: "Heavy Cruiser", nation: "Germany", type: "Heavy Cruiser", points: 20, abilities: "Flagship 1, Radar" };
+    expect(deckLegality(ctx, [{ unit: flagship, count: 2 }]).legal).toBe(true);
+  });
+
+  it("counts aircraft across units for the air limit", () => {
+    const ctx = legalityContext({ format: findFormat("air_limit"), pointCap: 200, factionRule: "mixed", registry });
+    expect(deckLegality(ctx, deckItemsOf({ "bf-109": 3 }, unitsById)).legal).toBe(true);
+    expect(deckLegality(ctx, deckItemsOf({ "bf-109": 4 }, unitsById)).violations[0]).toMatchObject({ rule: "maxCount", excess: 1 });
+  });
+
+  it("refuses a copy that adds or worsens a violation", () => {
+    const env = { factionOf: (u) => (u.nation === "Germany" ? "Axis" : "Allies") };
+    const rules = rulesFor(findFormat("air_limit"), { pointCap: 20, factionRule: "axis_only" });
+    const bf = { id: "b", name: "Bf 109", nation: "Germany", type: "Aircraft", points: 5 };
+    const hood = { id: "h", name: "Hood", nation: "United Kingdom", type: "Battlecruiser", points: 10 };
+    expect(canAdd(rules, [{ unit: bf, count: 2 }], bf, env).ok).toBe(true);
+    expect(canAdd(rules, [{ unit: bf, count: 3 }], bf, env)).toMatchObject({ ok: false, reason: "4 aircraft, max 3" });
+    expect(canAdd(rules, [], hood, env).ok).toBe(false);
+    expect(checkDeck(rules, [{ unit: bf, count: 5 }], env).map((v) => v.rule)).toEqual(["pointCap", "maxCount"]);
+  });
+
+  it("bars custom units from formats without homebrew", () => {
+    const env = { factionOf: () => "Axis" };
+    const historic = rulesFor(findFormat("axis150_historic"), { pointCap: 150, factionRule: "axis_only" });
+    const custom = { id: "c", name: "Homebrew", nation: "Germany", type: "Aircraft", points: 5, custom: true };
+    expect(allowsHomebrew(historic)).toBe(false);
+    expect(canAdd(historic, [], custom, env).ok).toBe(false);
+    expect(allowsHomebrew(rulesFor(findFormat("custom"), { pointCap: 150, factionRule: "mixed" }))).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { isNetworkError, localDecks, markNetworkError } from "../src/offline.js";
+import { memoryStorage } from "./fakeSupabase.js";
+
+describe("isNetworkError", () => {
+  it("is true for a tagged fetch failure", () => {
+    expect(isNetworkError(markNetworkError(new TypeError("Failed to fetch")))).toBe(true);
+  });
+
+  it("is false for bugs and HTTP errors while online", () => {
+    expect(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'id')"))).toBe(false);
+    expect(isNetworkError(new Error("permission denied for table decks"))).toBe(false);
+  });
+});
+
+describe("localDecks", () => {
+  beforeEach(() => { vi.stubGlobal("localStorage", memoryStorage()); });
+  afterEach(() => { vi.unstubAllGlobals(); });
+
+  const deck = (name) => ({ name, point_cap: 100, faction_rule: "axis_only", deck: { bismarck: 1 } });
+
+  it("keeps each user's pending decks apart and lets a sign-in claim signed-out ones", () => {
+    localDecks.save("alice", deck("Alice offline"));
+    localDecks.save(null, deck("Signed out"));
+    expect(localDecks.list("alice").map((d) => d.name).sort()).toEqual(["Alice offline", "Signed out"]);
+    expect(localDecks.list("bob").map((d) => d.name)).toEqual(["Signed out"]);
+    expect(localDecks.list(null).map((d) => d.name)).toEqual(["Signed out"]);
+  });
+
+  it("rewrites the decks a user sees, leaving other users' alone", () => {
+    localDecks.save("alice", deck("Alice offline"));
+    localDecks.save(null, deck("Signed out"));
+    localDecks.save("bob", deck("Bob offline"));
+    localDecks.update("alice", (row) => ({ ...row, deck: { hood: 2 } }));
+    expect(localDecks.list("alice").map((d) => d.deck)).toEqual([{ hood: 2 }, { hood: 2 }]);
+    expect(localDecks.list("bob").find((d) => d.name === "Bob offline").deck).toEqual({ bismarck: 1 });
+  });
+
+  it("syncs only the signed-in user's decks", async () => {
+    localDecks.save("alice", deck("Alice offline"));
+    const pushed = [];
+    expect(await localDecks.sync("bob", async (row) => { pushed.push(row.name); })).toEqual({ pushed: 0, failed: null });
+    expect(pushed).toEqual([]);
+    expect(localDecks.list("alice")).toHaveLength(1);
+  });
+
+  it("pushes each deck once when syncs overlap", async () => {
+    localDecks.save(null, deck("A"));
+    localDecks.save(null, deck("B"));
+    const pushed = [];
+    const push = async (row) => { await new Promise((r) => setTimeout(r, 5)); pushed.push(row.name); };
+    const [a, b] = await Promise.all([localDecks.sync("alice", push), localDecks.sync("alice", push)]);
+    expect(pushed.sort()).toEqual(["A", "B"]);
+    expect(a).toEqual({ pushed: 2, failed: null });
+    expect(b).toBe(a);
+    expect(localDecks.list("alice")).toEqual([]);
+  });
+
+  it("stops at the first failure and keeps the rest", async () => {
+    localDecks.save(null, deck("A"));
+    const failed = new Error("nope");
+    expect(await localDecks.sync("alice", async () => { throw failed; })).toEqual({ pushed: 0, failed });
+    expect(localDecks.list("alice")).toHaveLength(1);
+  });
+
+  it("treats decks from the old unscoped key as signed-out ones", () => {
+    localStorage.setItem("local_decks", JSON.stringify([{ local_id: "local-1", name: "Old", updated_at: 1 }]));
+    expect(localDecks.list("bob").map((d) => d.name)).toEqual(["Old"]);
+    expect(localStorage.getItem("local_decks")).toBeNull();
+  });
+});
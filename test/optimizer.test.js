@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_WEIGHTS, OBJECTIVES, fleetScore, optimizeFleet } from "../src/optimizer.js";
+
+const A = { id: "a", type: "x", points: 6, stats: { effective_gunnerytotal_0: 12 } };
+const B = { id: "b", type: "x", points: 5, stats: { effective_gunnerytotal_0: 9 } };
+const valueOf = (u) => OBJECTIVES[0].value(u, DEFAULT_WEIGHTS);
+const underCap = (cap) => (items, u) => items.reduce((acc, x) => acc + x.unit.points * x.count, 0) + u.points <= cap;
+
+describe("optimizeFleet", () => {
+  it("beats greedy by value density", () => {
+    // Greedy takes A (ratio 2) and strands 4 points; B+B scores 18 in 10 points
+    const [top] = optimizeFleet({ pool: [A, B], units: [A, B], valueOf, copiesOf: () => 2, pointCap: 10, canAddUnit: underCap(10) });
+    expect(top.deck).toEqual({ b: 2 });
+    expect(top.score).toBe(18);
+  });
+
+  it("keeps the starting deck", () => {
+    const [top] = optimizeFleet({ pool: [A, B], start: { a: 1 }, units: [A, B], valueOf, copiesOf: () => 2, pointCap: 11, canAddUnit: underCap(11) });
+    expect(top.deck).toEqual({ a: 1, b: 1 });
+  });
+});
+
+describe("fleetScore", () => {
+  it("discounts repeats of a type by balance", () => {
+    expect(fleetScore([{ unit: B, count: 2 }], valueOf, 0)).toBe(18);
+    expect(fleetScore([{ unit: B, count: 2 }], valueOf, 0.5)).toBe(13.5);
+  });
+});
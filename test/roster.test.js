@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { deckItemsOf, deckLegality, indexUnits, joinUnitStats, legalityContext } from "../src/deckLogic.js";
+import { createFactionRegistry } from "../src/factions.js";
+import { findFormat } from "../src/formats.js";
+import { UNCAPPED, copiesLeft, copiesUsed, rosterShortfalls, rosterSummary } from "../src/roster.js";
+import { STAT_ROWS, UNIT_ROWS } from "./fixtures/catalog.js";
+
+const units = joinUnitStats(UNIT_ROWS, STAT_ROWS);
+const unitsById = indexUnits(units);
+const registry = createFactionRegistry();
+
+describe("rosters", () => {
+  const decks = [
+    { key: "a", name: "Atlantic", deck: { bismarck: 1, "z-1": 2 } },
+    { key: "b", name: "Mediterranean", deck: { littorio: 1, "z-1": 1 } },
+  ];
+  const ownership = { bismarck: { copies: 1 }, "z-1": { copies: 2 } };
+
+  it("counts copies across decks, uncapped without an ownership row", () => {
+    expect(copiesUsed(decks)).toEqual({ bismarck: 1, "z-1": 3, littorio: 1 });
+    expect(copiesUsed(decks, "a")).toEqual({ littorio: 1, "z-1": 1 });
+    expect(copiesLeft(decks, ownership, "hood", "a")).toBe(UNCAPPED);
+  });
+
+  it("shares copies between decks", () => {
+    expect(copiesLeft(decks, ownership, "z-1", "a")).toBe(1);
+    expect(copiesLeft(decks, ownership, "z-1", "b")).toBe(0);
+    expect(rosterShortfalls(decks, ownership)).toEqual([{ unit_id: "z-1", used: 3, owned: 2 }]);
+  });
+
+  it("checks each deck against the format", () => {
+    const ctx = legalityContext({ format: findFormat("custom"), pointCap: 55, factionRule: "axis_only", registry });
+    const summary = rosterSummary(decks, unitsById, (d) => deckLegality(ctx, deckItemsOf(d, unitsById)).violations);
+    expect(summary.decks.map((d) => d.points)).toEqual([60, 45]);
+    expect(summary.decks.map((d) => d.violations.length)).toEqual([1, 0]);
+    expect(summary).toMatchObject({ points: 105, copies: 5, distinct: 3, legal: false });
+  });
+});
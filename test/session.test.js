@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { createSessionStore, readAuthParams, toSession, urlWithoutAuthParams } from "../src/session.js";
+import { memoryStorage } from "./fakeSupabase.js";
+
+const loc = new URL("http://x.test/?deck=1.abc#access_token=t&refresh_token=r&expires_in=3600&type=magiclink");
+
+describe("magic-link params", () => {
+  it("reads the tokens from the hash", () => {
+    expect(readAuthParams(loc)).toMatchObject({ access_token: "t", refresh_token: "r" });
+  });
+
+  it("strips them from the URL and keeps other params", () => {
+    expect(urlWithoutAuthParams(loc)).toBe("http://x.test/?deck=1.abc");
+  });
+});
+
+describe("session store", () => {
+  it("shares one refresh between concurrent callers", async () => {
+    let calls = 0;
+    const refresh = async () => { calls += 1; return { access_token: "new", refresh_token: "r2", expires_in: 3600 }; };
+    const store = createSessionStore({ refresh, signOut: async () => {}, storage: memoryStorage() });
+    store.set(toSession({ access_token: "old", refresh_token: "r1", expires_in: 10 }, { id: "u" }));
+    const [a, b] = await Promise.all([store.refresh(), store.refresh()]);
+    expect(calls).toBe(1);
+    expect(a).toBe(b);
+    expect(store.get()).toMatchObject({ access_token: "new", user: { id: "u" } });
+  });
+});
@@ -0,0 +1,277 @@
+import { describe, expect, it } from "vitest";
+import { createSupabase, parseWaitSeconds } from "../src/supabase.js";
+import { STAT_ROWS, UNIT_ROWS } from "./fixtures/catalog.js";
+import { ANON_KEY, URL_BASE, fakeBackend, memoryStorage } from "./fakeSupabase.js";
+
+const session = (access_token, refresh_token = "refresh-1") => ({
+  access_token, refresh_token, expires_at: Math.floor(Date.now() / 1000) + 3600, user: { id: "user-1" },
+});
+
+function setup(backendOpts = {}, storage = memoryStorage()) {
+  const backend = fakeBackend(backendOpts);
+  const sb = createSupabase({ url: URL_BASE, anonKey: ANON_KEY, fetch: backend.fetch, storage, redirectTo: () => "http://app.test/" });
+  return { sb, backend, storage };
+}
+
+describe("parseWaitSeconds", () => {
+  it("reads seconds and minutes from GoTrue messages", () => {
+    expect(parseWaitSeconds("For security purposes, you can only request this after 54 seconds.")).toBe(54);
+    expect(parseWaitSeconds("wait 1 minute")).toBe(60);
+    expect(parseWaitSeconds("try again in 2 minutes")).toBe(120);
+  });
+
+  it("is null without a number", () => {
+    expect(parseWaitSeconds("")).toBeNull();
+    expect(parseWaitSeconds(undefined)).toBeNull();
+    expect(parseWaitSeconds("try again later")).toBeNull();
+  });
+});
+
+describe("REST", () => {
+  it("pages through a table until an empty page", async () => {
+    const rows = Array.from({ length: 7 }, (_, i) => ({ id: i }));
+    const { sb, backend } = setup({ tables: { units: rows } });
+    expect(await sb.restAll("units?select=*&order=id", 3)).toEqual(rows);
+    expect(backend.calls.map((c) => c.path)).toEqual([
+      "units?select=*&order=id&limit=3&offset=0",
+      "units?select=*&order=id&limit=3&offset=3",
+      "units?select=*&order=id&limit=3&offset=6",
+      "units?select=*&order=id&limit=3&offset=7",
+    ]);
+  });
+
+  it("gets every row when the server's max-rows is below the page size", async () => {
+    const rows = Array.from({ length: 7 }, (_, i) => ({ id: i }));
+    const { sb, backend } = setup({ tables: { units: rows }, maxRows: 3 });
+    expect(await sb.restAll("units?select=*&order=id", 5)).toEqual(rows);
+    expect(backend.calls.map((c) => c.path.split("&").pop())).toEqual(["offset=0", "offset=3", "offset=6", "offset=7"]);
+  });
+
+  it("joins units with their stats for the catalog", async () => {
+    const { sb } = setup({ tables: { units: UNIT_ROWS, unit_stats: STAT_ROWS } });
+    const units = await sb.catalog.fetch();
+    expect(units).toHaveLength(UNIT_ROWS.length);
+    expect(units.find((u) => u.id === "hood").stats.effective_gunnerytotal_2).toBe(8);
+    expect(await sb.catalog.version()).toBe(`${UNIT_ROWS.length}:2024-03-01T10:00:00Z:${STAT_ROWS.length}:2024-01-15T09:30:00Z`);
+  });
+
+  it("changes the catalog version when a row is edited in place", async () => {
+    const tables = { units: UNIT_ROWS.map((r) => ({ ...r })), unit_stats: STAT_ROWS.map((r) => ({ ...r })) };
+    const { sb } = setup({ tables });
+    const before = await sb.catalog.version();
+    Object.assign(tables.unit_stats.find((r) => r.unit_id === "hood"), { armor: 6, updated_at: "2024-06-01T00:00:00Z" });
+    expect(await sb.catalog.version()).not.toBe(before);
+  });
+
+  it("versions the catalog by row counts alone on a project without updated_at", async () => {
+    const { sb } = setup({ tables: { units: UNIT_ROWS, unit_stats: STAT_ROWS }, noColumns: ["updated_at"] });
+    expect(await sb.catalog.version()).toBe(`${UNIT_ROWS.length}::${STAT_ROWS.length}:`);
+    expect(await sb.catalog.fetch()).toHaveLength(UNIT_ROWS.length);
+  });
+
+  it("tags fetch failures as network errors, not HTTP errors", async () => {
+    const sb = createSupabase({ url: URL_BASE, anonKey: ANON_KEY, fetch: async () => { throw new TypeError("Failed to fetch"); }, storage: memoryStorage() });
+    await expect(sb.rest("units?select=*")).rejects.toMatchObject({ network: true });
+    const { sb: online } = setup();
+    await expect(online.rest("units?select=*", { method: "PUT" })).rejects.not.toHaveProperty("network");
+  });
+
+  it("surfaces the server's error text", async () => {
+    const { sb } = setup();
+    await expect(sb.rest("units?select=*", { method: "PUT" })).rejects.toThrow(/unsupported/);
+  });
+});
+
+describe("restAs", () => {
+  it("sends the user's token", async () => {
+    const { sb, backend } = setup({ tables: { decks: [{ id: 1, user_id: "user-1" }] }, accessTokens: ["live"] });
+    expect(await sb.restAs("live", "decks?user_id=eq.user-1")).toEqual([{ id: 1, user_id: "user-1" }]);
+    expect(backend.calls[0].token).toBe("live");
+  });
+
+  it("refreshes once on 401 and retries with the new token", async () => {
+    const storage = memoryStorage({ sb_session: JSON.stringify(session("expired")) });
+    const { sb, backend } = setup({
+      tables: { decks: [{ id: 1, user_id: "user-1" }] },
+      refreshTokens: { "refresh-1": { access_token: "fresh", refresh_token: "refresh-2", expires_in: 3600 } },
+    }, storage);
+    expect(await sb.restAs("expired", "decks?user_id=eq.user-1")).toHaveLength(1);
+    expect(backend.calls.map((c) => [c.path.split("?")[0], c.token])).toEqual([
+      ["decks", "expired"],
+      ["token", ""],
+      ["decks", "fresh"],
+    ]);
+    expect(sb.sessionStore.get().refresh_token).toBe("refresh-2");
+    expect(JSON.parse(storage.getItem("sb_session")).access_token).toBe("fresh");
+  });
+
+  it("signs out locally when the refresh token is rejected", async () => {
+    const storage = memoryStorage({ sb_session: JSON.stringify(session("expired", "revoked")) });
+    const { sb } = setup({ tables: { decks: [] } }, storage);
+    await expect(sb.restAs("expired", "decks")).rejects.toThrow(/session has expired/);
+    expect(sb.sessionStore.get()).toBeNull();
+    expect(storage.getItem("sb_session")).toBeNull();
+  });
+
+  it("resolves empty bodies to null", async () => {
+    const { sb } = setup({ tables: { decks: [{ id: 1 }] }, accessTokens: ["live"] });
+    expect(await sb.restAs("live", "decks?id=eq.1", { method: "PATCH", body: JSON.stringify({ name: "x" }) })).toBeNull();
+  });
+});
+
+describe("auth", () => {
+  it("reports the refresh status code", async () => {
+    const { sb } = setup();
+    await expect(sb.auth.refresh("nope")).rejects.toMatchObject({ code: 400 });
+  });
+
+  it("sends the redirect URL with magic links", async () => {
+    const { sb, backend } = setup();
+    await sb.auth.signInMagic("admiral@example.com");
+    expect(backend.calls[0].body).toMatchObject({ email: "admiral@example.com", redirect_to: "http://app.test/", options: { email_redirect_to: "http://app.test/" } });
+  });
+
+  it("returns null for an invalid user token", async () => {
+    const { sb } = setup({ accessTokens: ["live"] });
+    expect(await sb.auth.getUser("live")).toMatchObject({ id: "user-1" });
+    expect(await sb.auth.getUser("bad")).toBeNull();
+  });
+});
+
+describe("deckStore", () => {
+  it("saves a deck and replaces its units", async () => {
+    const { sb, backend } = setup({ accessTokens: ["live"] });
+    const row = await sb.deckStore.insert("live", { user_id: "user-1", name: "Kriegsmarine", point_cap: 100 });
+    await sb.deckStore.replaceUnits("live", row.id, { bismarck: 1, "z-1": 2 });
+    await sb.deckStore.replaceUnits("live", row.id, { bismarck: 1 });
+
+    expect(backend.tables.deck_units).toEqual([{ id: "deck_units-1", deck_id: row.id, unit_id: "bismarck", count: 1 }]);
+    expect(backend.calls.map((c) => `${c.method} ${c.path.split("?")[0]}`)).toEqual([
+      "POST decks", "DELETE deck_units", "POST deck_units", "DELETE deck_units", "POST deck_units",
+    ]);
+  });
+
+  it("does not post an empty unit list", async () => {
+    const { sb, backend } = setup({ accessTokens: ["live"] });
+    await sb.deckStore.replaceUnits("live", 9, {});
+    expect(backend.calls.map((c) => c.method)).toEqual(["DELETE"]);
+  });
+
+  it("removes a deck's units before the deck", async () => {
+    const { sb, backend } = setup({ tables: { decks: [{ id: 9 }], deck_units: [{ deck_id: 9, unit_id: "hood", count: 1 }] }, accessTokens: ["live"] });
+    await sb.deckStore.remove("live", 9);
+    expect(backend.tables.decks).toEqual([]);
+    expect(backend.tables.deck_units).toEqual([]);
+    expect(backend.calls.map((c) => c.path)).toEqual(["deck_units?deck_id=eq.9", "decks?id=eq.9"]);
+  });
+});
+
+describe("userStore", () => {
+  const signedIn = session("live");
+  const presets = (backendOpts, storage) => {
+    const { sb, backend } = setup({ accessTokens: ["live"], ...backendOpts }, storage);
+    return { store: sb.userStore({ table: "filter_presets", select: "name,filters" }), backend };
+  };
+
+  it("upserts and lists the user's rows on the server", async () => {
+    const storage = memoryStorage();
+    const { store, backend } = presets({}, storage);
+    await store.save(signedIn, { name: "Subs", filters: { query: "type:sub" } });
+    expect(backend.calls[0]).toMatchObject({ method: "POST", path: "filter_presets?on_conflict=user_id,name", body: { name: "Subs", user_id: "user-1" } });
+    expect(await store.list(signedIn)).toHaveLength(1);
+    expect(storage.getItem("filter_presets:user-1")).toBeNull();
+  });
+
+  it("keeps rows in storage when signed out", async () => {
+    const storage = memoryStorage();
+    const { store, backend } = presets({}, storage);
+    await store.save(null, { name: "Subs", filters: {} });
+    await store.save(null, { name: "Subs", filters: { query: "x" } });
+    expect(await store.list(null)).toEqual([{ name: "Subs", filters: { query: "x" } }]);
+    await store.remove(null, "Subs");
+    expect(await store.list(null)).toEqual([]);
+    expect(backend.calls).toEqual([]);
+  });
+
+  it("falls back to storage when the project has no such table", async () => {
+    const storage = memoryStorage();
+    const { store } = presets({ missing: ["filter_presets"] }, storage);
+    await store.save(signedIn, { name: "Subs", filters: {} });
+    expect(await store.list(signedIn)).toEqual([{ name: "Subs", filters: {} }]);
+    expect(JSON.parse(storage.getItem("filter_presets:user-1"))).toHaveLength(1);
+  });
+
+  it("throws other server errors instead of saving locally", async () => {
+    const storage = memoryStorage();
+    const { store } = presets({ denied: ["filter_presets"] }, storage);
+    await expect(store.save(signedIn, { name: "Subs", filters: {} })).rejects.toMatchObject({ status: 403, code: "42501" });
+    await expect(store.remove(signedIn, "Subs")).rejects.toMatchObject({ status: 403 });
+    expect(storage.getItem("filter_presets:user-1")).toBeNull();
+  });
+});
+
+describe("userStore keyed by id", () => {
+  const signedIn = session("live");
+  const customs = (backendOpts, storage = memoryStorage()) => {
+    const { sb, backend } = setup({ accessTokens: ["live"], ...backendOpts }, storage);
+    return { store: sb.userStore({ table: "custom_units", select: "id,name,points", key: "id" }), backend, storage };
+  };
+
+  it("inserts rows without an id and patches rows with one", async () => {
+    const { store, backend } = customs({ tables: { custom_units: [{ id: 5, user_id: "user-1", name: "Monitor", points: 7 }] } });
+    await store.save(signedIn, { name: "Raider", points: 12 });
+    await store.save(signedIn, { id: 5, name: "Monitor", points: 8 });
+    expect(backend.calls.map((c) => `${c.method} ${c.path}`)).toEqual(["POST custom_units", "PATCH custom_units?id=eq.5"]);
+    expect((await store.list(signedIn)).map((r) => r.points)).toEqual([8, 12]);
+  });
+
+  it("gives local rows a local id and deletes by id", async () => {
+    const { store } = customs();
+    await store.save(null, { name: "Raider", points: 12 });
+    const [row] = await store.list(null);
+    expect(row.id).toMatch(/^local-/);
+    await store.save(null, { ...row, points: 13 });
+    expect(await store.list(null)).toEqual([{ ...row, points: 13 }]);
+    await store.remove(null, row.id);
+    expect(await store.list(null)).toEqual([]);
+  });
+
+  it("moves signed-out rows into the account on sign-in, with server ids", async () => {
+    const { store, backend, storage } = customs();
+    await store.save(null, { name: "Raider", points: 12 });
+    const [local] = await store.list(null);
+    const { claimed, failed } = await store.claimLocal(signedIn);
+    expect(failed).toBeNull();
+    expect(backend.calls[0]).toMatchObject({ method: "POST", path: "custom_units", body: { name: "Raider", points: 12, user_id: "user-1" } });
+    expect(backend.calls[0].body).not.toHaveProperty("id");
+    expect(claimed).toEqual([{ from: local, to: expect.objectContaining({ name: "Raider", id: expect.not.stringMatching(/^local-/) }) }]);
+    expect(await store.list(signedIn)).toEqual([expect.objectContaining({ id: claimed[0].to.id })]);
+    expect(JSON.parse(storage.getItem("custom_units:anon"))).toEqual([]);
+  });
+
+  it("keeps unclaimed rows signed out when the server refuses them", async () => {
+    const { store, storage } = customs({ denied: ["custom_units"] });
+    await store.save(null, { name: "Raider", points: 12 });
+    const { claimed, failed } = await store.claimLocal(signedIn);
+    expect(claimed).toEqual([]);
+    expect(failed).toMatchObject({ status: 403 });
+    expect(JSON.parse(storage.getItem("custom_units:anon"))).toHaveLength(1);
+  });
+
+  it("claims rows into the user's storage when the project has no such table", async () => {
+    const { store, storage } = customs({ missing: ["custom_units"] });
+    await store.save(null, { name: "Raider", points: 12 });
+    const [local] = await store.list(null);
+    expect((await store.claimLocal(signedIn)).claimed).toEqual([{ from: local, to: local }]);
+    expect(await store.list(signedIn)).toEqual([local]);
+    expect(await store.list(null)).toEqual([]);
+    expect(storage.getItem("custom_units:user-1")).not.toBeNull();
+  });
+
+  it("does not write a failed edit or delete locally", async () => {
+    const { store, storage } = customs({ denied: ["custom_units"] });
+    await expect(store.save(signedIn, { id: 5, name: "Monitor", points: 8 })).rejects.toMatchObject({ status: 403 });
+    await expect(store.remove(signedIn, 5)).rejects.toMatchObject({ status: 403 });
+    expect(storage.getItem("custom_units:user-1")).toBeNull();
+  });
+});